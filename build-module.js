@@ -0,0 +1,74 @@
+/**
+ * Generates html5-qrcode.mjs, the ES module build of the library scripts.
+ *
+ *  node build-module.js
+ *
+ * The scripts are concatenated in load order and the public classes are
+ * exported, the module has the same code as the classic scripts and doesn't
+ * load anything at import time. The output isn't committed, run this when
+ * making a release or before importing the module from a checkout.
+ */
+const fs = require("fs");
+const path = require("path");
+
+// Load order, each script only uses what the ones before it declare.
+const LIBRARY_SCRIPTS = [
+    "html5-qrcode.js",
+    "html5-qrcode-payload.js",
+    "html5-qrcode-history.js",
+    "html5-qrcode-generator.js",
+    "html5-qrcode-scanner.js",
+    "html5-qrcode-element.js"
+];
+
+const EXPORTS = [
+    "Html5QrcodeSupportedFormats",
+    "Html5QrcodeScannerState",
+    "Html5QrcodeScanMode",
+    "Html5QrcodePermissionState",
+    "Html5QrcodeErrorCode",
+    "Html5QrcodeError",
+    "Html5QrcodeJsQrcodeDecoder",
+    "Html5QrcodeBarcodeDetectorDecoder",
+    "Html5QrcodeWorkerDecoder",
+    "Html5QrcodeFrameProcessor",
+    "Html5QrcodeOverlay",
+    "Html5Qrcode",
+    "Html5QrcodePayloadType",
+    "Html5QrcodePayloadParser",
+    "Html5QrcodeHistoryStorage",
+    "Html5QrcodeScanHistory",
+    "Html5QrcodeErrorCorrectionLevel",
+    "Html5QrcodeGenerator",
+    "Html5QrcodeScanner",
+    "Html5QrcodeScannerElement"
+];
+
+const MODULE_FILE = "html5-qrcode.mjs";
+
+const HEADER = `/**
+ * ES module build of the html5-qrcode scripts, with TypeScript declarations
+ * in html5-qrcode.d.mts.
+ *
+ *  import { Html5Qrcode } from "./html5-qrcode.mjs";
+ *
+ * Importing it has no side effect other than defining the <qr-scanner>
+ * element when the page supports custom elements. Html5Qrcode decodes with
+ * jsqrcode when its global \`qrcode\` is on the page and with BarcodeDetector
+ * otherwise, see the Html5Qrcode constructor for other decoders.
+ *
+ * Generated by build-module.js from ${LIBRARY_SCRIPTS.join(", ")}.
+ * Don't edit, change the scripts and run \`node build-module.js\`.
+ */
+`;
+
+function buildModule(directory) {
+    const sources = LIBRARY_SCRIPTS.map(file => {
+        const source = fs.readFileSync(path.join(directory, file), "utf8");
+        return `// ${file}\n\n${source.trimEnd()}\n`;
+    });
+    const exports = EXPORTS.map(name => `    ${name}`).join(",\n");
+    return `${HEADER}\n${sources.join("\n")}\nexport {\n${exports}\n};\n`;
+}
+
+fs.writeFileSync(path.join(__dirname, MODULE_FILE), buildModule(__dirname));
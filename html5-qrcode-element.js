@@ -0,0 +1,196 @@
+/**
+ * <qr-scanner> custom element wrapping Html5Qrcode, so that pages and
+ * framework apps can use the scanner with markup and DOM events instead of
+ * callbacks.
+ *
+ *  <qr-scanner camera="environment" fps="10" qrbox="250" autostart></qr-scanner>
+ *
+ *  scanner.addEventListener("scan-success", event => {
+ *      console.log(event.detail.text);
+ *  });
+ *
+ * Needs html5-qrcode.js to be loaded first.
+ */
+// Without a DOM, for example when html5-qrcode.mjs is imported during server
+// side rendering, the class is declared but never defined as an element.
+class Html5QrcodeScannerElement extends (
+    typeof HTMLElement != "undefined" ? HTMLElement : class {}) {
+    static TAG_NAME = "qr-scanner";
+    static DEFAULT_CAMERA = "environment";
+    static SUCCESS_EVENT = "scan-success";
+    static ERROR_EVENT = "scan-error";
+    // Changing one of these while scanning restarts the scan.
+    static observedAttributes = ["camera", "fps", "qrbox"];
+
+    static _nextId = 0;
+
+    /**
+     * Attributes:
+     *      - camera: camera id, or a facing mode of Html5Qrcode.FACING_MODES
+     *          such as "environment" (default) or "user".
+     *      - fps: scans per second, see Html5Qrcode#start().
+     *      - qrbox: size of the scanning box, "250" for a square box or
+     *          "300x150" for width x height.
+     *      - autostart: starts scanning once the element is in the page.
+     *
+     * Events, which bubble out of shadow roots:
+     *      - scan-success: detail is the result object described in
+     *          Html5Qrcode#start().
+     *      - scan-error: detail is { error }, an Html5QrcodeError, when
+     *          scanning can't start or, with { reportDecodeMisses: true }
+     *          in config, for frames without a code.
+     */
+    constructor() {
+        super();
+        // Html5Qrcode constructor configuration, set before the first start().
+        this.scannerConfig = {};
+        // Extra Html5Qrcode#start() configuration, the attributes win.
+        this.config = {};
+        this._scanner = null;
+        this._viewfinder = null;
+        // Moving the element in the page stops and starts it again.
+        this._pendingStop = null;
+    }
+
+    /**
+     * The wrapped Html5Qrcode, null before the first start().
+     */
+    get scanner() {
+        return this._scanner;
+    }
+
+    connectedCallback() {
+        if (this.hasAttribute("autostart") && (this._pendingStop || !this._isRunning())) {
+            // Failures are reported with the scan-error event.
+            this.start().catch(() => {});
+        }
+    }
+
+    disconnectedCallback() {
+        this.stop();
+    }
+
+    attributeChangedCallback(name, oldValue, newValue) {
+        if (oldValue == newValue || !this._isRunning()) {
+            return;
+        }
+        this.stop()
+            .then(() => this.start())
+            .catch(() => {});
+    }
+
+    /**
+     * Starts scanning with the camera and options of the attributes.
+     *
+     * @returns Promise like Html5Qrcode#start(), failures are also
+     *  dispatched as scan-error.
+     */
+    start() {
+        if (this._pendingStop) {
+            return this._pendingStop.then(() => this.start());
+        }
+        let startPromise;
+        try {
+            if (!this.isConnected) {
+                throw new Html5QrcodeError(Html5QrcodeErrorCode.INVALID_STATE,
+                    `<${Html5QrcodeScannerElement.TAG_NAME}> should be in the `
+                        + "document before start().");
+            }
+            startPromise = this._getScanner().start(
+                this._getCamera(),
+                this._createStartConfig(),
+                result => this._dispatch(Html5QrcodeScannerElement.SUCCESS_EVENT, result),
+                error => this._dispatch(
+                    Html5QrcodeScannerElement.ERROR_EVENT, { error: error }));
+        } catch (error) {
+            startPromise = Promise.reject(error);
+        }
+        return startPromise.catch(error => {
+            this._dispatch(Html5QrcodeScannerElement.ERROR_EVENT, { error: error });
+            throw error;
+        });
+    }
+
+    /**
+     * Stops scanning, see Html5Qrcode#stop().
+     */
+    stop() {
+        if (!this._scanner) {
+            return Promise.resolve(true);
+        }
+        const stopPromise = this._scanner.stop().finally(() => {
+            if (this._pendingStop === stopPromise) {
+                this._pendingStop = null;
+            }
+        });
+        this._pendingStop = stopPromise;
+        return stopPromise;
+    }
+
+    // Html5Qrcode finds its element by id, so the viewfinder is in the
+    // light DOM.
+    _getScanner() {
+        if (!this._scanner) {
+            this._viewfinder = document.createElement("div");
+            this._viewfinder.id = `${Html5QrcodeScannerElement.TAG_NAME}-`
+                + `${++Html5QrcodeScannerElement._nextId}`;
+            this.appendChild(this._viewfinder);
+            this._scanner = new Html5Qrcode(this._viewfinder.id, Object.assign(
+                {}, this.scannerConfig, { resultMode: Html5Qrcode.RESULT_MODE_STRUCTURED }));
+        }
+        return this._scanner;
+    }
+
+    _isRunning() {
+        return this._scanner !== null
+            && this._scanner.getState() != Html5QrcodeScannerState.NOT_STARTED;
+    }
+
+    _getCamera() {
+        const camera = this.getAttribute("camera")
+            || Html5QrcodeScannerElement.DEFAULT_CAMERA;
+        return Html5Qrcode.FACING_MODES.includes(camera) ? { facingMode: camera } : camera;
+    }
+
+    _createStartConfig() {
+        const config = Object.assign({ reportDecodeMisses: false }, this.config);
+        if (this.hasAttribute("fps")) {
+            const fps = Number(this.getAttribute("fps"));
+            if (!(fps > 0)) {
+                throw new Html5QrcodeError(Html5QrcodeErrorCode.INVALID_CONFIG,
+                    "'fps' attribute should be a positive number.");
+            }
+            config.fps = fps;
+        }
+        if (this.hasAttribute("qrbox")) {
+            config.qrbox = Html5QrcodeScannerElement._parseQrbox(
+                this.getAttribute("qrbox"));
+        }
+        return config;
+    }
+
+    static _parseQrbox(value) {
+        const match = /^\s*(\d+)\s*(?:[xX]\s*(\d+)\s*)?$/.exec(value);
+        if (!match) {
+            throw new Html5QrcodeError(Html5QrcodeErrorCode.INVALID_CONFIG,
+                `'qrbox' attribute should be a size like "250" or "300x150", `
+                    + `got '${value}'.`);
+        }
+        const width = Number(match[1]);
+        return match[2] === undefined
+            ? width : { width: width, height: Number(match[2]) };
+    }
+
+    _dispatch(type, detail) {
+        this.dispatchEvent(new CustomEvent(type, {
+            detail: detail,
+            bubbles: true,
+            composed: true
+        }));
+    }
+}
+
+if (typeof customElements != "undefined"
+    && !customElements.get(Html5QrcodeScannerElement.TAG_NAME)) {
+    customElements.define(Html5QrcodeScannerElement.TAG_NAME, Html5QrcodeScannerElement);
+}
@@ -0,0 +1,722 @@
+/**
+ * QR code encoder, renders text into QR codes which can be drawn on a
+ * canvas, written as SVG or as a data URL, or shown in an element.
+ *
+ * Generated codes can be read back with Html5Qrcode#scanFile() through
+ * toFile(), or with Html5Qrcode#scanImage() which takes the canvas or the
+ * data URL directly. Needs html5-qrcode.js to be loaded first.
+ */
+
+/**
+ * Error correction levels, higher levels survive more damage but hold less
+ * data.
+ */
+const Html5QrcodeErrorCorrectionLevel = Object.freeze({
+    // Recovers about 7% of the codewords.
+    LOW: "L",
+    // Recovers about 15% of the codewords.
+    MEDIUM: "M",
+    // Recovers about 25% of the codewords.
+    QUARTILE: "Q",
+    // Recovers about 30% of the codewords.
+    HIGH: "H"
+});
+
+class Html5QrcodeGenerator {
+    static MIN_VERSION = 1;
+    static MAX_VERSION = 40;
+    static DEFAULTS = Object.freeze({
+        errorCorrectionLevel: Html5QrcodeErrorCorrectionLevel.MEDIUM,
+        margin: 4,
+        scale: 4,
+        darkColor: "#000000",
+        lightColor: "#ffffff"
+    });
+
+    static _ALPHANUMERIC_CHARSET = "0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ $%*+-./:";
+
+    // Per error correction level, indexed by version.
+    static _ECC_CODEWORDS_PER_BLOCK = Object.freeze({
+        L: [-1, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28,
+            28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+        M: [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26,
+            26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28],
+        Q: [-1, 13, 22, 18, 26, 18, 24, 18, 22, 20, 24, 28, 26, 24, 20, 30, 24, 28, 28, 26, 30,
+            28, 30, 30, 30, 30, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+        H: [-1, 17, 28, 22, 16, 22, 28, 26, 26, 24, 28, 24, 28, 22, 24, 24, 30, 28, 28, 26, 28,
+            30, 24, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30]
+    });
+    static _ERROR_CORRECTION_BLOCKS = Object.freeze({
+        L: [-1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8,
+            8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25],
+        M: [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16,
+            17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49],
+        Q: [-1, 1, 1, 2, 2, 4, 4, 6, 6, 8, 8, 8, 10, 12, 16, 12, 17, 16, 18, 21, 20,
+            23, 23, 25, 27, 29, 34, 34, 35, 38, 40, 43, 45, 48, 51, 53, 56, 59, 62, 65, 68],
+        H: [-1, 1, 1, 2, 4, 4, 4, 5, 6, 8, 8, 11, 11, 16, 16, 18, 16, 19, 21, 25, 25,
+            25, 34, 30, 32, 35, 37, 40, 42, 45, 48, 51, 54, 57, 60, 63, 66, 70, 74, 77, 81]
+    });
+    // Bits of the level in the format information.
+    static _FORMAT_BITS = Object.freeze({ L: 1, M: 0, Q: 3, H: 2 });
+
+    /**
+     * Encodes text into a QR code matrix.
+     *
+     * @param {String} text text to encode. Digits only and uppercase
+     *  alphanumeric text use the compact numeric and alphanumeric modes,
+     *  anything else is encoded as UTF-8 bytes.
+     * @param {Object} options optional.
+     *  Supported Fields:
+     *      - errorCorrectionLevel: one of Html5QrcodeErrorCorrectionLevel,
+     *          defaults to MEDIUM.
+     *      - version: 1 to 40, sets the size to 17 + 4 * version modules.
+     *          Defaults to the smallest version that fits the text.
+     *      - mask: 0 to 7, defaults to the mask with the lowest penalty.
+     *
+     * @returns object of type:
+     *  {
+     *      version: Number;
+     *      errorCorrectionLevel: String;
+     *      mask: Number;
+     *      size: Number;           // Modules per side, without margin.
+     *      modules: Array;         // size x size booleans, true is dark,
+     *                              // indexed as modules[y][x].
+     *  }
+     */
+    static encode(text, options) {
+        if (typeof text != "string") {
+            throw new Html5QrcodeError(Html5QrcodeErrorCode.INVALID_CONFIG,
+                "text is required and should be a string.");
+        }
+        const config = options ? options : {};
+        const level = config.errorCorrectionLevel !== undefined
+            ? config.errorCorrectionLevel
+            : Html5QrcodeGenerator.DEFAULTS.errorCorrectionLevel;
+        if (!Object.values(Html5QrcodeErrorCorrectionLevel).includes(level)) {
+            throw new Html5QrcodeError(Html5QrcodeErrorCode.INVALID_CONFIG,
+                `Unsupported errorCorrectionLevel '${level}', expected one of `
+                    + `${Object.values(Html5QrcodeErrorCorrectionLevel).join(", ")}.`);
+        }
+        if (config.mask !== undefined
+            && !(Number.isInteger(config.mask) && config.mask >= 0 && config.mask <= 7)) {
+            throw new Html5QrcodeError(Html5QrcodeErrorCode.INVALID_CONFIG,
+                "'mask' should be an integer from 0 to 7.");
+        }
+
+        const segment = Html5QrcodeGenerator._createSegment(text);
+        const version = Html5QrcodeGenerator._chooseVersion(segment, level, config.version);
+        const codewords = Html5QrcodeGenerator._addErrorCorrection(
+            Html5QrcodeGenerator._createDataCodewords(segment, version, level),
+            version,
+            level);
+        return Html5QrcodeGenerator._createMatrix(codewords, version, level, config.mask);
+    }
+
+    /**
+     * Draws the QR code on a canvas.
+     *
+     * @param {String} text text to encode.
+     * @param {Object} options optional, the encode() options and:
+     *      - margin: quiet zone around the code in modules, defaults to 4.
+     *          Readers need at least 1, 4 is the standard.
+     *      - scale: pixels per module, defaults to 4.
+     *      - darkColor: CSS colour of dark modules, defaults to black.
+     *      - lightColor: CSS colour of light modules and the margin, defaults
+     *          to white, "transparent" leaves them transparent.
+     *      - canvas: canvas to draw on, a new one is created by default.
+     *
+     * @returns {HTMLCanvasElement} the canvas, sized to the code.
+     */
+    static toCanvas(text, options) {
+        const config = Html5QrcodeGenerator._getRenderConfig(options);
+        const qrCode = Html5QrcodeGenerator.encode(text, options);
+        const pixels = (qrCode.size + config.margin * 2) * config.scale;
+        const canvas = config.canvas ? config.canvas : document.createElement("canvas");
+        canvas.width = pixels;
+        canvas.height = pixels;
+
+        const context = canvas.getContext("2d");
+        context.clearRect(0, 0, pixels, pixels);
+        if (config.lightColor != "transparent") {
+            context.fillStyle = config.lightColor;
+            context.fillRect(0, 0, pixels, pixels);
+        }
+        context.fillStyle = config.darkColor;
+        for (let y = 0; y < qrCode.size; ++y) {
+            for (let x = 0; x < qrCode.size; ++x) {
+                if (qrCode.modules[y][x]) {
+                    context.fillRect(
+                        (x + config.margin) * config.scale,
+                        (y + config.margin) * config.scale,
+                        config.scale,
+                        config.scale);
+                }
+            }
+        }
+        return canvas;
+    }
+
+    /**
+     * Returns the QR code as an SVG document string, see toCanvas() for the
+     * options. The SVG scales without blur, its width and height are
+     * (size + 2 * margin) * scale.
+     */
+    static toSvg(text, options) {
+        const config = Html5QrcodeGenerator._getRenderConfig(options);
+        const qrCode = Html5QrcodeGenerator.encode(text, options);
+        const modules = qrCode.size + config.margin * 2;
+        const pixels = modules * config.scale;
+        // One path of 1x1 squares, in module units.
+        const path = [];
+        for (let y = 0; y < qrCode.size; ++y) {
+            for (let x = 0; x < qrCode.size; ++x) {
+                if (qrCode.modules[y][x]) {
+                    path.push(`M${x + config.margin},${y + config.margin}h1v1h-1z`);
+                }
+            }
+        }
+        const escape = Html5QrcodeGenerator._escapeXmlAttribute;
+        const background = config.lightColor == "transparent" ? ""
+            : `<rect width="100%" height="100%" fill="${escape(config.lightColor)}"/>`;
+        return `<svg xmlns="http://www.w3.org/2000/svg" version="1.1" `
+            + `width="${pixels}" height="${pixels}" viewBox="0 0 ${modules} ${modules}" `
+            + `shape-rendering="crispEdges">`
+            + background
+            + `<path d="${path.join("")}" fill="${escape(config.darkColor)}"/>`
+            + `</svg>`;
+    }
+
+    /**
+     * Returns the QR code as a data URL, see toCanvas() for the options.
+     *
+     * @param {String} text text to encode.
+     * @param {Object} options optional, the toCanvas() options and:
+     *      - type: "image/png" (default), "image/jpeg", "image/webp" or
+     *          "image/svg+xml".
+     */
+    static toDataUrl(text, options) {
+        const type = options && options.type ? options.type : "image/png";
+        if (type == "image/svg+xml") {
+            return "data:image/svg+xml;charset=utf-8,"
+                + encodeURIComponent(Html5QrcodeGenerator.toSvg(text, options));
+        }
+        return Html5QrcodeGenerator.toCanvas(text, options).toDataURL(type);
+    }
+
+    /**
+     * Returns a Promise with the QR code as an image File, which can be
+     * passed to Html5Qrcode#scanFile().
+     *
+     * @param {String} text text to encode.
+     * @param {Object} options optional, the toDataUrl() options and:
+     *      - fileName: defaults to "qrcode.png" or "qrcode.svg" for SVG.
+     */
+    static toFile(text, options) {
+        const type = options && options.type ? options.type : "image/png";
+        const isSvg = type == "image/svg+xml";
+        const fileName = options && options.fileName
+            ? options.fileName : (isSvg ? "qrcode.svg" : "qrcode.png");
+        if (isSvg) {
+            return Promise.resolve(new File(
+                [Html5QrcodeGenerator.toSvg(text, options)], fileName, { type: type }));
+        }
+        const canvas = Html5QrcodeGenerator.toCanvas(text, options);
+        return new Promise((resolve, reject) => {
+            canvas.toBlob(blob => {
+                if (!blob) {
+                    reject(new Html5QrcodeError(Html5QrcodeErrorCode.UNSUPPORTED_BROWSER,
+                        `Unable to create an image of type ${type}.`));
+                    return;
+                }
+                resolve(new File([blob], fileName, { type: blob.type }));
+            }, type);
+        });
+    }
+
+    /**
+     * Shows the QR code in an element, for example the element of an
+     * Html5Qrcode which isn't scanning. The content of the element is
+     * replaced.
+     *
+     * @param {String|HTMLElement} elementOrId element or its id.
+     * @param {String} text text to encode.
+     * @param {Object} options optional, the toCanvas() options and:
+     *      - output: "canvas" (default) or "svg".
+     *
+     * @returns {Element} the inserted canvas or svg element.
+     */
+    static renderToElement(elementOrId, text, options) {
+        const element = typeof elementOrId == "string"
+            ? document.getElementById(elementOrId) : elementOrId;
+        if (!element) {
+            throw new Html5QrcodeError(Html5QrcodeErrorCode.INVALID_CONFIG,
+                `HTML Element with id=${elementOrId} not found`);
+        }
+        const output = options && options.output ? options.output : "canvas";
+        let child;
+        if (output == "svg") {
+            const container = document.createElement("div");
+            container.innerHTML = Html5QrcodeGenerator.toSvg(text, options);
+            child = container.firstChild;
+        } else if (output == "canvas") {
+            child = Html5QrcodeGenerator.toCanvas(text, options);
+        } else {
+            throw new Html5QrcodeError(Html5QrcodeErrorCode.INVALID_CONFIG,
+                `Unsupported output '${output}', expected "canvas" or "svg".`);
+        }
+        element.innerHTML = "";
+        element.appendChild(child);
+        return child;
+    }
+
+    //#region encoding
+    // Picks the most compact mode for the whole text.
+    static _createSegment(text) {
+        if (/^[0-9]*$/.test(text)) {
+            const bits = [];
+            for (let i = 0; i < text.length; i += 3) {
+                const chunk = text.substr(i, 3);
+                Html5QrcodeGenerator._appendBits(bits, Number(chunk), chunk.length * 3 + 1);
+            }
+            return { mode: 0x1, countBits: [10, 12, 14], count: text.length, bits: bits };
+        }
+
+        const charset = Html5QrcodeGenerator._ALPHANUMERIC_CHARSET;
+        if ([...text].every(character => charset.includes(character))) {
+            const bits = [];
+            for (let i = 0; i + 1 < text.length; i += 2) {
+                Html5QrcodeGenerator._appendBits(bits,
+                    charset.indexOf(text[i]) * 45 + charset.indexOf(text[i + 1]), 11);
+            }
+            if (text.length % 2 == 1) {
+                Html5QrcodeGenerator._appendBits(
+                    bits, charset.indexOf(text[text.length - 1]), 6);
+            }
+            return { mode: 0x2, countBits: [9, 11, 13], count: text.length, bits: bits };
+        }
+
+        const bytes = new TextEncoder().encode(text);
+        const bits = [];
+        bytes.forEach(byte => Html5QrcodeGenerator._appendBits(bits, byte, 8));
+        return { mode: 0x4, countBits: [8, 16, 16], count: bytes.length, bits: bits };
+    }
+
+    static _chooseVersion(segment, level, requestedVersion) {
+        const fits = version => {
+            const countBits = Html5QrcodeGenerator._getCountBits(segment, version);
+            return segment.count < (1 << countBits)
+                && 4 + countBits + segment.bits.length
+                    <= Html5QrcodeGenerator._getDataCodewordCount(version, level) * 8;
+        };
+
+        if (requestedVersion !== undefined) {
+            if (!Number.isInteger(requestedVersion)
+                || requestedVersion < Html5QrcodeGenerator.MIN_VERSION
+                || requestedVersion > Html5QrcodeGenerator.MAX_VERSION) {
+                throw new Html5QrcodeError(Html5QrcodeErrorCode.INVALID_CONFIG,
+                    "'version' should be an integer from 1 to 40.");
+            }
+            if (!fits(requestedVersion)) {
+                throw new Html5QrcodeError(Html5QrcodeErrorCode.INVALID_CONFIG,
+                    `Text too long for version ${requestedVersion} with error `
+                        + `correction level ${level}.`);
+            }
+            return requestedVersion;
+        }
+
+        for (let version = Html5QrcodeGenerator.MIN_VERSION;
+            version <= Html5QrcodeGenerator.MAX_VERSION; ++version) {
+            if (fits(version)) {
+                return version;
+            }
+        }
+        throw new Html5QrcodeError(Html5QrcodeErrorCode.INVALID_CONFIG,
+            `Text too long for a QR code with error correction level ${level}.`);
+    }
+
+    static _getCountBits(segment, version) {
+        return segment.countBits[version <= 9 ? 0 : version <= 26 ? 1 : 2];
+    }
+
+    static _createDataCodewords(segment, version, level) {
+        const capacityBits = Html5QrcodeGenerator._getDataCodewordCount(version, level) * 8;
+        const bits = [];
+        Html5QrcodeGenerator._appendBits(bits, segment.mode, 4);
+        Html5QrcodeGenerator._appendBits(bits, segment.count,
+            Html5QrcodeGenerator._getCountBits(segment, version));
+        bits.push(...segment.bits);
+
+        // Terminator, then padding to a byte and pad bytes.
+        Html5QrcodeGenerator._appendBits(
+            bits, 0, Math.min(4, capacityBits - bits.length));
+        Html5QrcodeGenerator._appendBits(bits, 0, (8 - bits.length % 8) % 8);
+        for (let padByte = 0xEC; bits.length < capacityBits; padByte ^= 0xEC ^ 0x11) {
+            Html5QrcodeGenerator._appendBits(bits, padByte, 8);
+        }
+
+        const codewords = [];
+        for (let i = 0; i < bits.length; i += 8) {
+            let codeword = 0;
+            for (let j = 0; j < 8; ++j) {
+                codeword = (codeword << 1) | bits[i + j];
+            }
+            codewords.push(codeword);
+        }
+        return codewords;
+    }
+
+    // Splits the data in blocks, appends Reed-Solomon codewords to each and
+    // interleaves them.
+    static _addErrorCorrection(data, version, level) {
+        const blockCount = Html5QrcodeGenerator._ERROR_CORRECTION_BLOCKS[level][version];
+        const eccLength = Html5QrcodeGenerator._ECC_CODEWORDS_PER_BLOCK[level][version];
+        const rawCodewords = Math.floor(
+            Html5QrcodeGenerator._getRawDataModuleCount(version) / 8);
+        const shortBlockCount = blockCount - rawCodewords % blockCount;
+        const shortBlockLength = Math.floor(rawCodewords / blockCount);
+        const divisor = Html5QrcodeGenerator._computeReedSolomonDivisor(eccLength);
+
+        const blocks = [];
+        for (let i = 0, offset = 0; i < blockCount; ++i) {
+            const dataLength = shortBlockLength - eccLength + (i < shortBlockCount ? 0 : 1);
+            const block = data.slice(offset, offset + dataLength);
+            offset += dataLength;
+            const ecc = Html5QrcodeGenerator._computeReedSolomonRemainder(block, divisor);
+            if (i < shortBlockCount) {
+                // Placeholder so that all blocks have the same length.
+                block.push(0);
+            }
+            blocks.push(block.concat(ecc));
+        }
+
+        const result = [];
+        for (let i = 0; i < blocks[0].length; ++i) {
+            blocks.forEach((block, j) => {
+                if (i != shortBlockLength - eccLength || j >= shortBlockCount) {
+                    result.push(block[i]);
+                }
+            });
+        }
+        return result;
+    }
+
+    static _computeReedSolomonDivisor(degree) {
+        const result = new Array(degree).fill(0);
+        result[degree - 1] = 1;
+        let root = 1;
+        for (let i = 0; i < degree; ++i) {
+            for (let j = 0; j < result.length; ++j) {
+                result[j] = Html5QrcodeGenerator._multiplyGf256(result[j], root);
+                if (j + 1 < result.length) {
+                    result[j] ^= result[j + 1];
+                }
+            }
+            root = Html5QrcodeGenerator._multiplyGf256(root, 0x02);
+        }
+        return result;
+    }
+
+    static _computeReedSolomonRemainder(data, divisor) {
+        const result = divisor.map(() => 0);
+        for (const byte of data) {
+            const factor = byte ^ result.shift();
+            result.push(0);
+            divisor.forEach((coefficient, i) => {
+                result[i] ^= Html5QrcodeGenerator._multiplyGf256(coefficient, factor);
+            });
+        }
+        return result;
+    }
+
+    // Multiplication in GF(2^8) modulo x^8 + x^4 + x^3 + x^2 + 1.
+    static _multiplyGf256(x, y) {
+        let z = 0;
+        for (let i = 7; i >= 0; --i) {
+            z = (z << 1) ^ ((z >>> 7) * 0x11D);
+            z ^= ((y >>> i) & 1) * x;
+        }
+        return z;
+    }
+
+    static _getRawDataModuleCount(version) {
+        let result = (16 * version + 128) * version + 64;
+        if (version >= 2) {
+            const alignmentCount = Math.floor(version / 7) + 2;
+            result -= (25 * alignmentCount - 10) * alignmentCount - 55;
+            if (version >= 7) {
+                result -= 36;
+            }
+        }
+        return result;
+    }
+
+    static _getDataCodewordCount(version, level) {
+        return Math.floor(Html5QrcodeGenerator._getRawDataModuleCount(version) / 8)
+            - Html5QrcodeGenerator._ECC_CODEWORDS_PER_BLOCK[level][version]
+                * Html5QrcodeGenerator._ERROR_CORRECTION_BLOCKS[level][version];
+    }
+
+    static _appendBits(bits, value, length) {
+        for (let i = length - 1; i >= 0; --i) {
+            bits.push((value >>> i) & 1);
+        }
+    }
+    //#endregion
+
+    //#region matrix
+    static _createMatrix(codewords, version, level, requestedMask) {
+        const size = version * 4 + 17;
+        const modules = Array.from({ length: size }, () => new Array(size).fill(false));
+        const isFunction = Array.from({ length: size }, () => new Array(size).fill(false));
+        const setFunctionModule = (x, y, isDark) => {
+            modules[y][x] = isDark;
+            isFunction[y][x] = true;
+        };
+
+        Html5QrcodeGenerator._drawFunctionPatterns(version, size, setFunctionModule);
+        // Reserves the format areas, drawn for real once the mask is known.
+        Html5QrcodeGenerator._drawFormatBits(level, /* mask= */ 0, size, setFunctionModule);
+        Html5QrcodeGenerator._drawCodewords(codewords, size, modules, isFunction);
+
+        let mask = requestedMask;
+        if (mask === undefined) {
+            let lowestPenalty = Infinity;
+            for (let candidate = 0; candidate < 8; ++candidate) {
+                Html5QrcodeGenerator._applyMask(candidate, size, modules, isFunction);
+                Html5QrcodeGenerator._drawFormatBits(level, candidate, size, setFunctionModule);
+                const penalty = Html5QrcodeGenerator._computePenalty(size, modules);
+                if (penalty < lowestPenalty) {
+                    mask = candidate;
+                    lowestPenalty = penalty;
+                }
+                // Applying the mask again undoes it.
+                Html5QrcodeGenerator._applyMask(candidate, size, modules, isFunction);
+            }
+        }
+        Html5QrcodeGenerator._applyMask(mask, size, modules, isFunction);
+        Html5QrcodeGenerator._drawFormatBits(level, mask, size, setFunctionModule);
+
+        return {
+            version: version,
+            errorCorrectionLevel: level,
+            mask: mask,
+            size: size,
+            modules: modules
+        };
+    }
+
+    static _drawFunctionPatterns(version, size, setFunctionModule) {
+        // Timing patterns.
+        for (let i = 0; i < size; ++i) {
+            setFunctionModule(6, i, i % 2 == 0);
+            setFunctionModule(i, 6, i % 2 == 0);
+        }
+
+        // Finder patterns with their separators.
+        for (const [centerX, centerY] of [[3, 3], [size - 4, 3], [3, size - 4]]) {
+            for (let dy = -4; dy <= 4; ++dy) {
+                for (let dx = -4; dx <= 4; ++dx) {
+                    const x = centerX + dx;
+                    const y = centerY + dy;
+                    const distance = Math.max(Math.abs(dx), Math.abs(dy));
+                    if (x >= 0 && x < size && y >= 0 && y < size) {
+                        setFunctionModule(x, y, distance != 2 && distance != 4);
+                    }
+                }
+            }
+        }
+
+        // Alignment patterns, except where they would overlap finders.
+        const positions = Html5QrcodeGenerator._getAlignmentPatternPositions(version, size);
+        const last = positions.length - 1;
+        positions.forEach((centerX, i) => {
+            positions.forEach((centerY, j) => {
+                if ((i == 0 && j == 0) || (i == 0 && j == last) || (i == last && j == 0)) {
+                    return;
+                }
+                for (let dy = -2; dy <= 2; ++dy) {
+                    for (let dx = -2; dx <= 2; ++dx) {
+                        setFunctionModule(centerX + dx, centerY + dy,
+                            Math.max(Math.abs(dx), Math.abs(dy)) != 1);
+                    }
+                }
+            });
+        });
+
+        // Version information, from version 7.
+        if (version >= 7) {
+            let remainder = version;
+            for (let i = 0; i < 12; ++i) {
+                remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1F25);
+            }
+            const bits = (version << 12) | remainder;
+            for (let i = 0; i < 18; ++i) {
+                const isDark = ((bits >>> i) & 1) != 0;
+                const a = size - 11 + i % 3;
+                const b = Math.floor(i / 3);
+                setFunctionModule(a, b, isDark);
+                setFunctionModule(b, a, isDark);
+            }
+        }
+    }
+
+    static _getAlignmentPatternPositions(version, size) {
+        if (version == 1) {
+            return [];
+        }
+        const count = Math.floor(version / 7) + 2;
+        const step = version == 32
+            ? 26 : Math.ceil((version * 4 + 4) / (count * 2 - 2)) * 2;
+        const positions = [6];
+        for (let position = size - 7; positions.length < count; position -= step) {
+            positions.splice(1, 0, position);
+        }
+        return positions;
+    }
+
+    static _drawFormatBits(level, mask, size, setFunctionModule) {
+        const data = (Html5QrcodeGenerator._FORMAT_BITS[level] << 3) | mask;
+        let remainder = data;
+        for (let i = 0; i < 10; ++i) {
+            remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+        }
+        const bits = ((data << 10) | remainder) ^ 0x5412;
+        const bit = i => ((bits >>> i) & 1) != 0;
+
+        // Around the top left finder.
+        for (let i = 0; i <= 5; ++i) {
+            setFunctionModule(8, i, bit(i));
+        }
+        setFunctionModule(8, 7, bit(6));
+        setFunctionModule(8, 8, bit(7));
+        setFunctionModule(7, 8, bit(8));
+        for (let i = 9; i < 15; ++i) {
+            setFunctionModule(14 - i, 8, bit(i));
+        }
+
+        // Copy next to the other two finders.
+        for (let i = 0; i < 8; ++i) {
+            setFunctionModule(size - 1 - i, 8, bit(i));
+        }
+        for (let i = 8; i < 15; ++i) {
+            setFunctionModule(8, size - 15 + i, bit(i));
+        }
+        // Always dark.
+        setFunctionModule(8, size - 8, true);
+    }
+
+    // Places the codewords in the zigzag order, two columns at a time from
+    // the bottom right, skipping the vertical timing pattern.
+    static _drawCodewords(codewords, size, modules, isFunction) {
+        let i = 0;
+        for (let right = size - 1; right >= 1; right -= 2) {
+            if (right == 6) {
+                right = 5;
+            }
+            for (let vertical = 0; vertical < size; ++vertical) {
+                for (let j = 0; j < 2; ++j) {
+                    const x = right - j;
+                    const isUpward = ((right + 1) & 2) == 0;
+                    const y = isUpward ? size - 1 - vertical : vertical;
+                    if (!isFunction[y][x] && i < codewords.length * 8) {
+                        modules[y][x] = ((codewords[i >>> 3] >>> (7 - (i & 7))) & 1) != 0;
+                        ++i;
+                    }
+                }
+            }
+        }
+    }
+
+    static _applyMask(mask, size, modules, isFunction) {
+        const conditions = [
+            (x, y) => (x + y) % 2 == 0,
+            (x, y) => y % 2 == 0,
+            (x, y) => x % 3 == 0,
+            (x, y) => (x + y) % 3 == 0,
+            (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 == 0,
+            (x, y) => x * y % 2 + x * y % 3 == 0,
+            (x, y) => (x * y % 2 + x * y % 3) % 2 == 0,
+            (x, y) => ((x + y) % 2 + x * y % 3) % 2 == 0
+        ];
+        const condition = conditions[mask];
+        for (let y = 0; y < size; ++y) {
+            for (let x = 0; x < size; ++x) {
+                if (!isFunction[y][x] && condition(x, y)) {
+                    modules[y][x] = !modules[y][x];
+                }
+            }
+        }
+    }
+
+    // Penalty rules of the QR code specification, lower is easier to read.
+    static _computePenalty(size, modules) {
+        let penalty = 0;
+        const lines = [];
+        for (let i = 0; i < size; ++i) {
+            lines.push(modules[i]);
+            lines.push(modules.map(row => row[i]));
+        }
+
+        // Runs of 5 or more modules of the same colour, and patterns which
+        // look like finders.
+        const finderLike = [
+            "10111010000", "00001011101"];
+        for (const line of lines) {
+            let runLength = 1;
+            for (let i = 1; i <= size; ++i) {
+                if (i < size && line[i] == line[i - 1]) {
+                    ++runLength;
+                    continue;
+                }
+                if (runLength >= 5) {
+                    penalty += 3 + runLength - 5;
+                }
+                runLength = 1;
+            }
+            const text = line.map(isDark => isDark ? "1" : "0").join("");
+            for (const pattern of finderLike) {
+                for (let i = text.indexOf(pattern); i >= 0; i = text.indexOf(pattern, i + 1)) {
+                    penalty += 40;
+                }
+            }
+        }
+
+        // 2x2 blocks of the same colour.
+        let darkCount = 0;
+        for (let y = 0; y < size; ++y) {
+            for (let x = 0; x < size; ++x) {
+                darkCount += modules[y][x] ? 1 : 0;
+                if (x + 1 < size && y + 1 < size
+                    && modules[y][x] == modules[y][x + 1]
+                    && modules[y][x] == modules[y + 1][x]
+                    && modules[y][x] == modules[y + 1][x + 1]) {
+                    penalty += 3;
+                }
+            }
+        }
+
+        // Balance of dark and light modules.
+        const darkPercent = darkCount * 100 / (size * size);
+        penalty += Math.floor(Math.abs(darkPercent - 50) / 5) * 10;
+        return penalty;
+    }
+    //#endregion
+
+    static _getRenderConfig(options) {
+        const config = Object.assign({}, Html5QrcodeGenerator.DEFAULTS, options);
+        if (!Number.isInteger(config.margin) || config.margin < 0) {
+            throw new Html5QrcodeError(Html5QrcodeErrorCode.INVALID_CONFIG,
+                "'margin' should be a non-negative integer.");
+        }
+        if (typeof config.scale != "number" || config.scale <= 0) {
+            throw new Html5QrcodeError(Html5QrcodeErrorCode.INVALID_CONFIG,
+                "'scale' should be a positive number.");
+        }
+        return config;
+    }
+
+    static _escapeXmlAttribute(value) {
+        return `${value}`.replace(/&/g, "&amp;").replace(/"/g, "&quot;")
+            .replace(/</g, "&lt;");
+    }
+}
@@ -0,0 +1,559 @@
+/**
+ * Opt-in history of accepted scans, persisted so that it survives reloads,
+ * with CSV / JSON export and optional sync to a server.
+ *
+ * Pass an instance to Html5Qrcode with { history: new Html5QrcodeScanHistory() }
+ * to record every accepted scan. Needs html5-qrcode.js to be loaded first.
+ */
+
+/**
+ * Storage backends of Html5QrcodeScanHistory.
+ */
+const Html5QrcodeHistoryStorage = Object.freeze({
+    INDEXED_DB: "indexedDB",
+    LOCAL_STORAGE: "localStorage",
+    // Not persisted, lost on reload.
+    MEMORY: "memory"
+});
+
+/**
+ * Keeps entries in memory, also the base of the other stores which only
+ * add persistence.
+ */
+class Html5QrcodeMemoryStore {
+    constructor() {
+        this._entries = [];
+        this._nextId = 1;
+    }
+
+    add(entry) {
+        entry.id = this._nextId++;
+        this._entries.push(entry);
+        return Promise.resolve(entry);
+    }
+
+    getAll() {
+        return Promise.resolve(this._entries.slice());
+    }
+
+    // Replaces the stored entries with the same ids.
+    update(entries) {
+        const byId = new Map(entries.map(entry => [entry.id, entry]));
+        this._entries = this._entries.map(entry => byId.get(entry.id) || entry);
+        return Promise.resolve();
+    }
+
+    // Removes the given number of oldest entries.
+    removeOldest(count) {
+        this._entries.splice(0, count);
+        return Promise.resolve();
+    }
+
+    clear() {
+        this._entries = [];
+        return Promise.resolve();
+    }
+}
+
+/**
+ * Persists entries as one JSON array in localStorage.
+ */
+class Html5QrcodeLocalStorageStore extends Html5QrcodeMemoryStore {
+    constructor(key) {
+        super();
+        this._key = key;
+        const saved = Html5QrcodeLocalStorageStore._load(key);
+        if (saved) {
+            this._entries = saved.entries;
+            this._nextId = saved.nextId;
+        }
+    }
+
+    add(entry) {
+        return super.add(entry).then(entry => this._save().then(() => entry));
+    }
+
+    update(entries) {
+        return super.update(entries).then(() => this._save());
+    }
+
+    removeOldest(count) {
+        return super.removeOldest(count).then(() => this._save());
+    }
+
+    clear() {
+        return super.clear().then(() => this._save());
+    }
+
+    // Returns the saved { entries, nextId }, or null if there is none or it
+    // can't be read, the history then starts empty.
+    static _load(key) {
+        let saved;
+        try {
+            saved = JSON.parse(localStorage.getItem(key) || "null");
+        } catch (error) {
+            return null;
+        }
+        if (!saved || !Array.isArray(saved.entries)
+            || typeof saved.nextId != "number") {
+            return null;
+        }
+        return saved;
+    }
+
+    _save() {
+        try {
+            localStorage.setItem(this._key, JSON.stringify({
+                entries: this._entries,
+                nextId: this._nextId
+            }));
+            return Promise.resolve();
+        } catch (error) {
+            // For example QuotaExceededError.
+            return Promise.reject(new Html5QrcodeError(Html5QrcodeErrorCode.UNKNOWN,
+                `Unable to save the scan history, error = ${error}`, error));
+        }
+    }
+}
+
+/**
+ * Persists entries in an IndexedDB object store.
+ */
+class Html5QrcodeIndexedDbStore {
+    static OBJECT_STORE_NAME = "scans";
+
+    constructor(databaseName) {
+        this._database = new Promise((resolve, reject) => {
+            const request = indexedDB.open(databaseName, /* version= */ 1);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(
+                    Html5QrcodeIndexedDbStore.OBJECT_STORE_NAME,
+                    { keyPath: "id", autoIncrement: true });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    add(entry) {
+        return this._run("readwrite", store => store.add(entry))
+            .then(id => {
+                entry.id = id;
+                return entry;
+            });
+    }
+
+    getAll() {
+        return this._run("readonly", store => store.getAll());
+    }
+
+    // Only rewrites entries which are still stored, put() alone would add
+    // back the ones cleared or trimmed meanwhile.
+    update(entries) {
+        return this._run("readwrite", store => {
+            entries.forEach(entry => {
+                const request = store.get(entry.id);
+                request.onsuccess = () => {
+                    if (request.result) {
+                        store.put(entry);
+                    }
+                };
+            });
+        });
+    }
+
+    removeOldest(count) {
+        return this._run("readwrite", store => {
+            const request = store.openCursor();
+            let removed = 0;
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (cursor && removed < count) {
+                    cursor.delete();
+                    ++removed;
+                    cursor.continue();
+                }
+            };
+        });
+    }
+
+    clear() {
+        return this._run("readwrite", store => store.clear());
+    }
+
+    // Runs operation in a transaction, resolves with the result of the
+    // request it returns once the transaction completes.
+    _run(mode, operation) {
+        return this._database.then(database => new Promise((resolve, reject) => {
+            const transaction = database.transaction(
+                Html5QrcodeIndexedDbStore.OBJECT_STORE_NAME, mode);
+            const request = operation(
+                transaction.objectStore(Html5QrcodeIndexedDbStore.OBJECT_STORE_NAME));
+            transaction.oncomplete = () => resolve(request ? request.result : undefined);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        })).catch(error => {
+            throw new Html5QrcodeError(Html5QrcodeErrorCode.UNKNOWN,
+                `Scan history storage failed, error = ${error}`, error);
+        });
+    }
+}
+
+class Html5QrcodeScanHistory {
+    static DEFAULT_NAME = "html5-qrcode-history";
+    static DEFAULT_MAX_ENTRIES = 10000;
+    static SYNC_DEFAULTS = Object.freeze({
+        batchSize: 50,
+        retryDelayMs: 5000,
+        maxRetryDelayMs: 5 * 60 * 1000
+    });
+    static CSV_COLUMNS = [
+        "id", "timestamp", "text", "format", "source", "sessionId", "synced"];
+
+    /**
+     * @param {Object} configuration optional.
+     *  Supported Fields:
+     *      - storage: one of Html5QrcodeHistoryStorage, defaults to IndexedDB
+     *          where available, else localStorage, else memory.
+     *      - name: IndexedDB database name or localStorage key, defaults to
+     *          Html5QrcodeScanHistory.DEFAULT_NAME. Use different names to
+     *          keep separate histories.
+     *      - maxEntries: oldest entries are removed beyond this count,
+     *          defaults to 10000.
+     *      - sync: if set, entries are POSTed in batches as JSON
+     *          { entries: [...] } to a server. Supported fields:
+     *              - url: endpoint to POST to, required.
+     *              - headers: extra request headers, for example
+     *                  { Authorization: "Bearer ..." }.
+     *              - batchSize: entries per request, defaults to 50.
+     *              - retryDelayMs: delay before retrying a failed request,
+     *                  doubled on each failure up to maxRetryDelayMs.
+     *              - auto: sync after each recorded scan and when the
+     *                  device comes back online, defaults to true.
+     *          Entries are marked synced once the server answers with 2xx.
+     */
+    constructor(configuration) {
+        const config = configuration ? configuration : {};
+        this._name = config.name ? config.name : Html5QrcodeScanHistory.DEFAULT_NAME;
+        this._maxEntries = config.maxEntries !== undefined
+            ? config.maxEntries : Html5QrcodeScanHistory.DEFAULT_MAX_ENTRIES;
+        if (typeof this._maxEntries != "number" || this._maxEntries < 1) {
+            throw new Html5QrcodeError(Html5QrcodeErrorCode.INVALID_CONFIG,
+                "'config.maxEntries' should be a positive number.");
+        }
+        this._store = Html5QrcodeScanHistory._createStore(config.storage, this._name);
+        this._sync = Html5QrcodeScanHistory._getSyncConfig(config.sync);
+        // Entries of this page load share a session id.
+        this._sessionId = `${Date.now().toString(36)}-`
+            + Math.random().toString(36).substring(2, 8);
+        this._syncInFlight = null;
+        this._retryTimeout = null;
+        this._retryDelayMs = this._sync ? this._sync.retryDelayMs : 0;
+        // Serializes writes so that the max entries check sees them all.
+        this._writes = Promise.resolve();
+
+        this._onOnline = null;
+        if (this._sync && this._sync.auto) {
+            this._onOnline = () => {
+                // Skips the backoff delay.
+                clearTimeout(this._retryTimeout);
+                this._retryTimeout = null;
+                this._syncSoon(/* delayMs= */ 0);
+            };
+            window.addEventListener("online", this._onOnline);
+            // Entries queued before the last reload.
+            this._syncSoon(/* delayMs= */ 0);
+        }
+    }
+
+    /**
+     * Id shared by the entries recorded since this history was created.
+     */
+    getSessionId() {
+        return this._sessionId;
+    }
+
+    /**
+     * Records a scan.
+     *
+     * @param {Object} result result object, see Html5Qrcode.start().
+     *
+     * @returns Promise with the stored entry, of type:
+     *  {
+     *      id: Number;
+     *      text: String;
+     *      format: String;
+     *      timestamp: Number;      // Milliseconds since epoch.
+     *      source: String;         // Camera id or file name.
+     *      sessionId: String;
+     *      synced: Boolean;        // Whether the entry reached the server.
+     *  }
+     */
+    record(result) {
+        const entry = {
+            text: result.text,
+            format: result.format,
+            timestamp: result.timestamp ? result.timestamp : Date.now(),
+            source: result.source !== undefined ? result.source : null,
+            sessionId: this._sessionId,
+            synced: false
+        };
+        const write = this._enqueueWrite(() => this._store.add(entry)
+            .then(entry => this._removeOverflow().then(() => entry)));
+        return write.then(entry => {
+            if (this._sync && this._sync.auto) {
+                this._syncSoon(/* delayMs= */ 0);
+            }
+            return entry;
+        });
+    }
+
+    /**
+     * Returns a Promise with the entries matching the filter, oldest first.
+     *
+     * @param {Object} filter optional.
+     *  Supported Fields:
+     *      - since, until: timestamps in milliseconds, inclusive.
+     *      - text: exact text.
+     *      - format: one of Html5QrcodeSupportedFormats.
+     *      - source: camera id or file name.
+     *      - sessionId: for example getSessionId() for this session only.
+     *      - synced: true or false.
+     *      - limit: maximum number of entries, the most recent ones are kept.
+     */
+    query(filter) {
+        const criteria = filter ? filter : {};
+        return this._writes.then(() => this._store.getAll()).then(entries => {
+            const matches = entries.filter(entry =>
+                (criteria.since === undefined || entry.timestamp >= criteria.since)
+                && (criteria.until === undefined || entry.timestamp <= criteria.until)
+                && (criteria.text === undefined || entry.text === criteria.text)
+                && (criteria.format === undefined || entry.format === criteria.format)
+                && (criteria.source === undefined || entry.source === criteria.source)
+                && (criteria.sessionId === undefined
+                    || entry.sessionId === criteria.sessionId)
+                && (criteria.synced === undefined || entry.synced === criteria.synced));
+            return criteria.limit !== undefined
+                ? matches.slice(Math.max(0, matches.length - criteria.limit))
+                : matches;
+        });
+    }
+
+    /**
+     * Removes every entry, including the ones not synced yet.
+     */
+    clear() {
+        return this._enqueueWrite(() => this._store.clear());
+    }
+
+    /**
+     * Returns a Promise with the matching entries as JSON, see query().
+     */
+    exportJson(filter) {
+        return this.query(filter).then(entries => JSON.stringify(entries, null, 2));
+    }
+
+    /**
+     * Returns a Promise with the matching entries as CSV, see query(). The
+     * timestamp is written as ISO 8601.
+     */
+    exportCsv(filter) {
+        return this.query(filter).then(entries => {
+            const columns = Html5QrcodeScanHistory.CSV_COLUMNS;
+            const rows = entries.map(entry => columns.map(column => {
+                const value = column == "timestamp"
+                    ? new Date(entry.timestamp).toISOString() : entry[column];
+                return Html5QrcodeScanHistory._toCsvField(value);
+            }).join(","));
+            return [columns.join(",")].concat(rows).join("\r\n");
+        });
+    }
+
+    /**
+     * Returns a Promise with the number of entries not synced yet.
+     */
+    getPendingCount() {
+        return this.query({ synced: false }).then(entries => entries.length);
+    }
+
+    /**
+     * POSTs the entries not synced yet, in batches.
+     *
+     * @returns Promise with the number of entries synced. Fails if a batch
+     *  can't be sent, with auto sync it's retried later.
+     */
+    sync() {
+        if (!this._sync) {
+            return Promise.reject(new Html5QrcodeError(
+                Html5QrcodeErrorCode.INVALID_CONFIG,
+                "Scan history sync isn't configured, pass 'config.sync'."));
+        }
+        if (this._syncInFlight) {
+            return this._syncInFlight;
+        }
+
+        clearTimeout(this._retryTimeout);
+        this._retryTimeout = null;
+        const syncBatches = syncedCount => this.query({ synced: false })
+            .then(pending => {
+                if (pending.length == 0) {
+                    return syncedCount;
+                }
+                const batch = pending.slice(0, this._sync.batchSize);
+                return this._postBatch(batch)
+                    .then(() => {
+                        batch.forEach(entry => entry.synced = true);
+                        return this._enqueueWrite(() => this._store.update(batch));
+                    })
+                    .then(() => syncBatches(syncedCount + batch.length));
+            });
+
+        this._syncInFlight = syncBatches(0)
+            .then(syncedCount => {
+                this._syncInFlight = null;
+                this._retryDelayMs = this._sync.retryDelayMs;
+                return syncedCount;
+            }, error => {
+                this._syncInFlight = null;
+                throw error;
+            });
+        return this._syncInFlight;
+    }
+
+    /**
+     * Stops auto sync, stored entries are kept.
+     */
+    destroy() {
+        clearTimeout(this._retryTimeout);
+        this._retryTimeout = null;
+        if (this._onOnline) {
+            window.removeEventListener("online", this._onOnline);
+            this._onOnline = null;
+        }
+    }
+
+    // Runs write after the pending ones, returns its Promise.
+    _enqueueWrite(write) {
+        const result = this._writes.then(write);
+        this._writes = result.catch(() => {});
+        return result;
+    }
+
+    _postBatch(batch) {
+        if (navigator.onLine === false) {
+            return Promise.reject(new Html5QrcodeError(Html5QrcodeErrorCode.UNKNOWN,
+                "Device is offline, scan history sync postponed."));
+        }
+        const headers = Object.assign(
+            { "Content-Type": "application/json" }, this._sync.headers);
+        return fetch(this._sync.url, {
+            method: "POST",
+            headers: headers,
+            body: JSON.stringify({ entries: batch })
+        }).then(response => {
+            if (!response.ok) {
+                throw new Html5QrcodeError(Html5QrcodeErrorCode.UNKNOWN,
+                    `Scan history sync failed with HTTP ${response.status}.`);
+            }
+        }, error => {
+            throw new Html5QrcodeError(Html5QrcodeErrorCode.UNKNOWN,
+                `Scan history sync failed, error = ${error}`, error);
+        });
+    }
+
+    // Auto sync, failures are retried with exponential backoff or when the
+    // device comes back online.
+    _syncSoon(delayMs) {
+        if (this._syncInFlight || this._retryTimeout) {
+            return;
+        }
+        this._retryTimeout = setTimeout(() => {
+            this._retryTimeout = null;
+            this.sync().catch(error => {
+                Html5Qrcode._log(`${error}, retrying in ${this._retryDelayMs} ms.`);
+                const retryDelayMs = this._retryDelayMs;
+                this._retryDelayMs = Math.min(
+                    retryDelayMs * 2, this._sync.maxRetryDelayMs);
+                // Offline devices wait for the online event instead.
+                if (navigator.onLine !== false) {
+                    this._syncSoon(retryDelayMs);
+                }
+            });
+        }, delayMs);
+    }
+
+    _removeOverflow() {
+        return this._store.getAll().then(entries => {
+            const overflow = entries.length - this._maxEntries;
+            return overflow > 0 ? this._store.removeOldest(overflow) : undefined;
+        });
+    }
+
+    static _createStore(storage, name) {
+        const hasIndexedDb = typeof indexedDB != "undefined";
+        let hasLocalStorage;
+        try {
+            hasLocalStorage = typeof localStorage != "undefined" && localStorage !== null;
+        } catch (error) {
+            // Access to localStorage throws when cookies are blocked.
+            hasLocalStorage = false;
+        }
+
+        if (storage === undefined) {
+            storage = hasIndexedDb ? Html5QrcodeHistoryStorage.INDEXED_DB
+                : hasLocalStorage ? Html5QrcodeHistoryStorage.LOCAL_STORAGE
+                : Html5QrcodeHistoryStorage.MEMORY;
+        }
+        switch (storage) {
+            case Html5QrcodeHistoryStorage.INDEXED_DB:
+                if (!hasIndexedDb) {
+                    break;
+                }
+                return new Html5QrcodeIndexedDbStore(name);
+            case Html5QrcodeHistoryStorage.LOCAL_STORAGE:
+                if (!hasLocalStorage) {
+                    break;
+                }
+                return new Html5QrcodeLocalStorageStore(name);
+            case Html5QrcodeHistoryStorage.MEMORY:
+                return new Html5QrcodeMemoryStore();
+            default:
+                throw new Html5QrcodeError(Html5QrcodeErrorCode.INVALID_CONFIG,
+                    `Unsupported storage '${storage}', expected one of `
+                        + `${Object.values(Html5QrcodeHistoryStorage).join(", ")}.`);
+        }
+        throw new Html5QrcodeError(Html5QrcodeErrorCode.UNSUPPORTED_BROWSER,
+            `${storage} is not available in this browser.`);
+    }
+
+    static _getSyncConfig(sync) {
+        if (!sync) {
+            return null;
+        }
+        if (typeof sync.url != "string" || !sync.url) {
+            throw new Html5QrcodeError(Html5QrcodeErrorCode.INVALID_CONFIG,
+                "'config.sync.url' is required and should be a string.");
+        }
+        const config = Object.assign(
+            { auto: true }, Html5QrcodeScanHistory.SYNC_DEFAULTS, sync);
+        for (const key of ["batchSize", "retryDelayMs", "maxRetryDelayMs"]) {
+            if (typeof config[key] != "number" || config[key] <= 0) {
+                throw new Html5QrcodeError(Html5QrcodeErrorCode.INVALID_CONFIG,
+                    `'config.sync.${key}' should be a positive number.`);
+            }
+        }
+        return config;
+    }
+
+    static _toCsvField(value) {
+        if (value === null || value === undefined) {
+            return "";
+        }
+        let field = `${value}`;
+        // Spreadsheets run fields starting with these as formulas.
+        if (/^[=+\-@\t\r]/.test(field)) {
+            field = `'${field}`;
+        }
+        return /[",\r\n]/.test(field) ? `"${field.replace(/"/g, '""')}"` : field;
+    }
+}
@@ -0,0 +1,665 @@
+/**
+ * Parses the text of scanned codes into typed payloads: URLs, WiFi
+ * credentials, contacts (vCard and MeCard), locations, SMS, emails, phone
+ * numbers and GS1 element strings.
+ *
+ * Html5Qrcode runs it on every decode with { parsePayload: true }, it can
+ * also be used on its own with Html5QrcodePayloadParser.parse(text). Needs
+ * html5-qrcode.js to be loaded first.
+ */
+
+/**
+ * Types of the payloads returned by Html5QrcodePayloadParser.parse().
+ */
+const Html5QrcodePayloadType = Object.freeze({
+    TEXT: "text",
+    URL: "url",
+    WIFI: "wifi",
+    CONTACT: "contact",
+    LOCATION: "location",
+    SMS: "sms",
+    EMAIL: "email",
+    PHONE: "phone",
+    GS1: "gs1"
+});
+
+class Html5QrcodePayloadParser {
+    /**
+     * GS1 Application Identifiers understood by the GS1 parser.
+     *  - name: field of the payload the value is copied to.
+     *  - length: fixed length of the value, else maxLength for variable ones.
+     *  - date: value is YYMMDD, converted to YYYY-MM-DD.
+     *  - decimal: the last digit of the AI is the number of decimals.
+     */
+    static GS1_APPLICATION_IDENTIFIERS = Object.freeze({
+        "00": { name: "sscc", length: 18 },
+        "01": { name: "gtin", length: 14 },
+        "02": { name: "contentGtin", length: 14 },
+        "10": { name: "batch", maxLength: 20 },
+        "11": { name: "productionDate", length: 6, date: true },
+        "12": { name: "dueDate", length: 6, date: true },
+        "13": { name: "packagingDate", length: 6, date: true },
+        "15": { name: "bestBefore", length: 6, date: true },
+        "16": { name: "sellBy", length: 6, date: true },
+        "17": { name: "expiry", length: 6, date: true },
+        "20": { name: "variant", length: 2 },
+        "21": { name: "serial", maxLength: 20 },
+        "22": { name: "consumerProductVariant", maxLength: 20 },
+        "30": { name: "variableCount", maxLength: 8 },
+        "37": { name: "count", maxLength: 8 },
+        "240": { name: "additionalId", maxLength: 30 },
+        "241": { name: "customerPartNumber", maxLength: 30 },
+        "250": { name: "secondarySerial", maxLength: 30 },
+        "310": { name: "netWeightKg", length: 6, decimal: true },
+        "392": { name: "price", maxLength: 15, decimal: true },
+        "400": { name: "orderNumber", maxLength: 30 },
+        "410": { name: "shipToGln", length: 13 },
+        "414": { name: "locationGln", length: 13 },
+        "420": { name: "shipToPostalCode", maxLength: 20 },
+        "422": { name: "countryOfOrigin", length: 3 },
+        "7003": { name: "expiryDateTime", length: 10 },
+        "8200": { name: "productUrl", maxLength: 70 }
+    });
+
+    // Separator of variable length GS1 values, the FNC1 character.
+    static GS1_GROUP_SEPARATOR = "\u001d";
+
+    static _customParsers = new Map();
+
+    /**
+     * Registers a parser which runs before the built-in ones, for example
+     * for in-house formats or to handle a scheme differently.
+     *
+     * @param {String} name unique name of the parser, registering the same
+     *  name again replaces it.
+     * @param {Function} parser function(text) returning a payload object
+     *  with at least a `type` field, or null if it doesn't understand the
+     *  text. Throw an Html5QrcodeError of code INVALID_PAYLOAD for malformed
+     *  input.
+     */
+    static registerParser(name, parser) {
+        if (!name || typeof name != "string") {
+            throw new Html5QrcodeError(Html5QrcodeErrorCode.INVALID_CONFIG,
+                "Parser name is required and should be a string.");
+        }
+        if (typeof parser != "function") {
+            throw new Html5QrcodeError(Html5QrcodeErrorCode.INVALID_CONFIG,
+                "parser is required and should be a function.");
+        }
+        Html5QrcodePayloadParser._customParsers.set(name, parser);
+    }
+
+    /**
+     * Removes a parser added with registerParser().
+     */
+    static unregisterParser(name) {
+        Html5QrcodePayloadParser._customParsers.delete(name);
+    }
+
+    /**
+     * Parses the text of a scanned code.
+     *
+     * @param {String} text decoded text.
+     *
+     * @returns payload object with `type`, one of Html5QrcodePayloadType or
+     *  the type of a custom parser, `raw`, the input text, and per type:
+     *      - text: { text }
+     *      - url: { url, hostname }
+     *      - wifi: { ssid, password, encryption, hidden }
+     *      - contact: { format, name, organization, title, phones, emails,
+     *          addresses, urls, note, birthday }, format is "vcard" or
+     *          "mecard"
+     *      - location: { latitude, longitude, altitude, query }
+     *      - sms: { phoneNumber, message }
+     *      - email: { to, cc, bcc, subject, body }
+     *      - phone: { phoneNumber }
+     *      - gs1: { elements: [{ ai, name, value }] } plus one field per
+     *          known Application Identifier, for example gtin, batch and
+     *          expiry.
+     * @throws Html5QrcodeError of code INVALID_PAYLOAD if the text claims a
+     *  format, like "WIFI:", but is malformed.
+     */
+    static parse(text) {
+        if (typeof text != "string") {
+            throw new Html5QrcodeError(Html5QrcodeErrorCode.INVALID_CONFIG,
+                "text is required and should be a string.");
+        }
+
+        const parsers = Array.from(Html5QrcodePayloadParser._customParsers.values())
+            .concat(Html5QrcodePayloadParser._BUILT_IN_PARSERS);
+        for (const parser of parsers) {
+            const payload = parser(text);
+            if (payload) {
+                return Object.assign({ type: payload.type, raw: text }, payload);
+            }
+        }
+        return { type: Html5QrcodePayloadType.TEXT, raw: text, text: text };
+    }
+
+    //#region built-in parsers
+    static _parseWifi(text) {
+        if (!Html5QrcodePayloadParser._hasPrefix(text, "WIFI:")) {
+            return null;
+        }
+        const fields = Html5QrcodePayloadParser._parseKeyValueFields(
+            text.substring("WIFI:".length));
+        const ssid = fields.get("S");
+        if (!ssid) {
+            throw Html5QrcodePayloadParser._invalid("WIFI", "the S (SSID) field is missing");
+        }
+        const encryption = fields.get("T") ? fields.get("T")[0].toUpperCase() : "NOPASS";
+        if (encryption != "NOPASS" && !fields.get("P")) {
+            throw Html5QrcodePayloadParser._invalid(
+                "WIFI", `the P (password) field is missing for ${encryption}`);
+        }
+        return {
+            type: Html5QrcodePayloadType.WIFI,
+            ssid: ssid[0],
+            password: fields.get("P") ? fields.get("P")[0] : null,
+            encryption: encryption,
+            hidden: fields.get("H") ? fields.get("H")[0].toLowerCase() == "true" : false
+        };
+    }
+
+    static _parseMeCard(text) {
+        if (!Html5QrcodePayloadParser._hasPrefix(text, "MECARD:")) {
+            return null;
+        }
+        const fields = Html5QrcodePayloadParser._parseKeyValueFields(
+            text.substring("MECARD:".length));
+        const nameField = fields.get("N");
+        if (!nameField) {
+            throw Html5QrcodePayloadParser._invalid("MECARD", "the N (name) field is missing");
+        }
+        // "Last,First" is shown as "First Last".
+        const name = nameField[0].split(",").map(part => part.trim())
+            .filter(part => part).reverse().join(" ");
+        const first = key => fields.get(key) ? fields.get(key)[0] : null;
+        return Html5QrcodePayloadParser._createContact("mecard", {
+            name: name,
+            organization: first("ORG"),
+            title: null,
+            phones: fields.get("TEL"),
+            emails: fields.get("EMAIL"),
+            addresses: fields.get("ADR"),
+            urls: fields.get("URL"),
+            note: first("NOTE"),
+            birthday: Html5QrcodePayloadParser._formatBasicDate(first("BDAY"))
+        });
+    }
+
+    static _parseVCard(text) {
+        if (!Html5QrcodePayloadParser._hasPrefix(text.trimStart(), "BEGIN:VCARD")) {
+            return null;
+        }
+        // Long lines are folded with a line break followed by a space or tab.
+        const lines = text.replace(/\r?\n[ \t]/g, "").split(/\r?\n/)
+            .map(line => line.trim()).filter(line => line);
+        if (lines[lines.length - 1].toUpperCase() != "END:VCARD") {
+            throw Html5QrcodePayloadParser._invalid("vCard", "END:VCARD is missing");
+        }
+
+        const properties = new Map();
+        for (const line of lines.slice(1, -1)) {
+            const separator = line.indexOf(":");
+            if (separator < 0) {
+                throw Html5QrcodePayloadParser._invalid(
+                    "vCard", `line '${line}' has no ':'`);
+            }
+            // Drops parameters and groups, "item1.TEL;TYPE=CELL" is TEL.
+            const key = line.substring(0, separator).split(";")[0]
+                .split(".").pop().toUpperCase();
+            const values = properties.get(key) || [];
+            values.push(line.substring(separator + 1));
+            properties.set(key, values);
+        }
+
+        const unescape = Html5QrcodePayloadParser._unescapeVCardValue;
+        const all = key => (properties.get(key) || []).map(unescape);
+        const first = key => properties.has(key) ? all(key)[0] : null;
+        const structuredName = properties.has("N")
+            ? properties.get("N")[0].split(";").map(unescape) : [];
+        // N is "Family;Given;Additional;Prefix;Suffix".
+        const name = first("FN") || [structuredName[3], structuredName[1],
+            structuredName[2], structuredName[0], structuredName[4]]
+            .filter(part => part).join(" ");
+        if (!name) {
+            throw Html5QrcodePayloadParser._invalid("vCard", "FN and N are missing");
+        }
+        return Html5QrcodePayloadParser._createContact("vcard", {
+            name: name,
+            organization: properties.has("ORG")
+                ? properties.get("ORG")[0].split(";").map(unescape)
+                    .filter(part => part).join(", ")
+                : null,
+            title: first("TITLE"),
+            phones: all("TEL"),
+            emails: all("EMAIL"),
+            addresses: (properties.get("ADR") || []).map(address => address
+                .split(";").map(unescape).filter(part => part).join(", ")),
+            urls: all("URL"),
+            note: first("NOTE"),
+            birthday: Html5QrcodePayloadParser._formatBasicDate(first("BDAY"))
+        });
+    }
+
+    static _parseGeo(text) {
+        if (!Html5QrcodePayloadParser._hasPrefix(text, "geo:")) {
+            return null;
+        }
+        const [path, query] = Html5QrcodePayloadParser._splitQuery(
+            text.substring("geo:".length));
+        // Parameters like ";u=35" follow the coordinates.
+        const coordinates = path.split(";")[0].split(",");
+        const numbers = coordinates.map(Number);
+        if (coordinates.length < 2 || coordinates.length > 3
+            || coordinates.some(coordinate => coordinate.trim() === "")
+            || numbers.some(number => isNaN(number))) {
+            throw Html5QrcodePayloadParser._invalid(
+                "geo URI", "expected geo:latitude,longitude[,altitude]");
+        }
+        if (Math.abs(numbers[0]) > 90 || Math.abs(numbers[1]) > 180) {
+            throw Html5QrcodePayloadParser._invalid(
+                "geo URI", `coordinates ${numbers[0]},${numbers[1]} are out of range`);
+        }
+        return {
+            type: Html5QrcodePayloadType.LOCATION,
+            latitude: numbers[0],
+            longitude: numbers[1],
+            altitude: coordinates.length == 3 ? numbers[2] : null,
+            query: query.get("q")
+        };
+    }
+
+    static _parseSms(text) {
+        let phoneNumber;
+        let message;
+        if (Html5QrcodePayloadParser._hasPrefix(text, "SMSTO:")) {
+            // SMSTO:number:message
+            const rest = text.substring("SMSTO:".length);
+            const separator = rest.indexOf(":");
+            phoneNumber = separator < 0 ? rest : rest.substring(0, separator);
+            message = separator < 0 ? null : rest.substring(separator + 1);
+        } else if (Html5QrcodePayloadParser._hasPrefix(text, "sms:")) {
+            const [path, query] = Html5QrcodePayloadParser._splitQuery(
+                text.substring("sms:".length));
+            phoneNumber = Html5QrcodePayloadParser._decodeUriComponent("SMS", path);
+            message = query.get("body");
+        } else {
+            return null;
+        }
+        if (!phoneNumber.trim()) {
+            throw Html5QrcodePayloadParser._invalid("SMS", "the phone number is missing");
+        }
+        return {
+            type: Html5QrcodePayloadType.SMS,
+            phoneNumber: phoneNumber.trim(),
+            message: message
+        };
+    }
+
+    static _parseEmail(text) {
+        if (Html5QrcodePayloadParser._hasPrefix(text, "MATMSG:")) {
+            const fields = Html5QrcodePayloadParser._parseKeyValueFields(
+                text.substring("MATMSG:".length));
+            const first = key => fields.get(key) ? fields.get(key)[0] : null;
+            return Html5QrcodePayloadParser._createEmail(
+                fields.get("TO") || [], [], [], first("SUB"), first("BODY"));
+        }
+        if (!Html5QrcodePayloadParser._hasPrefix(text, "mailto:")) {
+            return null;
+        }
+        const [path, query] = Html5QrcodePayloadParser._splitQuery(
+            text.substring("mailto:".length));
+        const toList = value => value
+            ? value.split(",").map(address => address.trim()).filter(address => address)
+            : [];
+        return Html5QrcodePayloadParser._createEmail(
+            toList(Html5QrcodePayloadParser._decodeUriComponent("email", path))
+                .concat(toList(query.get("to"))),
+            toList(query.get("cc")),
+            toList(query.get("bcc")),
+            query.get("subject"),
+            query.get("body"));
+    }
+
+    static _parsePhone(text) {
+        if (!Html5QrcodePayloadParser._hasPrefix(text, "tel:")) {
+            return null;
+        }
+        const phoneNumber = Html5QrcodePayloadParser._decodeUriComponent(
+            "tel URI", text.substring("tel:".length)).trim();
+        if (!/^\+?[0-9()\-. ]+$/.test(phoneNumber)) {
+            throw Html5QrcodePayloadParser._invalid(
+                "tel URI", `'${phoneNumber}' is not a phone number`);
+        }
+        return {
+            type: Html5QrcodePayloadType.PHONE,
+            phoneNumber: phoneNumber
+        };
+    }
+
+    static _parseGs1(text) {
+        // Symbology identifiers of GS1-128, GS1 DataMatrix, GS1 QR Code and
+        // GS1 DataBar, readers prefix the raw element string with them.
+        const symbologyIdentifier = /^\](C1|d2|Q3|e0)/;
+        let elements;
+        if (symbologyIdentifier.test(text)) {
+            elements = Html5QrcodePayloadParser._parseGs1ElementString(
+                text.substring(3));
+        } else if (/^\(\d{2,4}\)/.test(text)) {
+            elements = Html5QrcodePayloadParser._parseGs1HumanReadable(text);
+        } else if (/^\d{2}/.test(text)
+            && text.includes(Html5QrcodePayloadParser.GS1_GROUP_SEPARATOR)) {
+            elements = Html5QrcodePayloadParser._parseGs1ElementString(text);
+        } else {
+            return null;
+        }
+
+        const payload = { type: Html5QrcodePayloadType.GS1, elements: elements };
+        for (const element of elements) {
+            if (element.name) {
+                payload[element.name] = element.value;
+            }
+        }
+        return payload;
+    }
+
+    static _parseUrl(text) {
+        if (!/^https?:\/\//i.test(text)) {
+            return null;
+        }
+        let url;
+        try {
+            url = new URL(text);
+        } catch (error) {
+            throw Html5QrcodePayloadParser._invalid("URL", `${error.message}`);
+        }
+        return {
+            type: Html5QrcodePayloadType.URL,
+            url: url.href,
+            hostname: url.hostname
+        };
+    }
+    //#endregion
+
+    //#region helpers
+    // "(01)09506000134352(17)201225(10)ABC" as printed under barcodes.
+    static _parseGs1HumanReadable(text) {
+        const elements = [];
+        const pattern = /\((\d{2,4})\)([^(]*)/g;
+        let consumed = 0;
+        let match;
+        while ((match = pattern.exec(text)) !== null) {
+            if (match.index != consumed) {
+                break;
+            }
+            consumed = pattern.lastIndex;
+            const bareDefinition
+                = Html5QrcodePayloadParser.GS1_APPLICATION_IDENTIFIERS[match[1]];
+            if (bareDefinition && bareDefinition.decimal) {
+                throw Html5QrcodePayloadParser._invalid("GS1",
+                    `AI (${match[1]}) needs the number of decimals as 4th digit`);
+            }
+            const definition = Html5QrcodePayloadParser._getGs1Definition(match[1]);
+            if (definition
+                && (definition.length && match[2].length != definition.length
+                    || definition.maxLength && match[2].length > definition.maxLength)) {
+                throw Html5QrcodePayloadParser._invalid("GS1",
+                    `AI (${match[1]}) has a value of invalid length '${match[2]}'`);
+            }
+            elements.push(Html5QrcodePayloadParser._createGs1Element(
+                match[1], definition, match[2]));
+        }
+        if (consumed != text.length) {
+            throw Html5QrcodePayloadParser._invalid(
+                "GS1", `unexpected '${text.substring(consumed)}'`);
+        }
+        return elements;
+    }
+
+    // Raw element string, variable length values end with the FNC1 group
+    // separator unless they're last.
+    static _parseGs1ElementString(text) {
+        const separator = Html5QrcodePayloadParser.GS1_GROUP_SEPARATOR;
+        const elements = [];
+        let position = 0;
+        while (position < text.length) {
+            if (text[position] == separator) {
+                ++position;
+                continue;
+            }
+            let ai = null;
+            let definition = null;
+            // 4 digits first, decimal AIs like 3103 start with a 3 digit key
+            // of the table which isn't an AI on its own.
+            for (const aiLength of [4, 2, 3]) {
+                const candidate = text.substr(position, aiLength);
+                definition = Html5QrcodePayloadParser._getGs1Definition(candidate);
+                if (definition) {
+                    ai = candidate;
+                    break;
+                }
+            }
+            if (!ai) {
+                throw Html5QrcodePayloadParser._invalid("GS1",
+                    `unknown Application Identifier at '${text.substring(position)}'`);
+            }
+            position += ai.length;
+
+            let value;
+            if (definition.length) {
+                value = text.substr(position, definition.length);
+                if (value.length != definition.length || value.includes(separator)) {
+                    throw Html5QrcodePayloadParser._invalid("GS1",
+                        `AI (${ai}) needs ${definition.length} characters`);
+                }
+                position += definition.length;
+            } else {
+                const end = text.indexOf(separator, position);
+                value = text.substring(position, end < 0 ? text.length : end);
+                if (value.length > definition.maxLength) {
+                    throw Html5QrcodePayloadParser._invalid("GS1",
+                        `AI (${ai}) is longer than ${definition.maxLength} characters`);
+                }
+                position += value.length;
+            }
+            elements.push(Html5QrcodePayloadParser._createGs1Element(ai, definition, value));
+        }
+        return elements;
+    }
+
+    static _getGs1Definition(ai) {
+        const identifiers = Html5QrcodePayloadParser.GS1_APPLICATION_IDENTIFIERS;
+        // AIs like 3103 carry the number of decimals in their last digit,
+        // a bare 310 is incomplete.
+        const prefix = ai.substring(0, 3);
+        if (/^\d{4}$/.test(ai) && identifiers[prefix] && identifiers[prefix].decimal) {
+            return identifiers[prefix];
+        }
+        if (identifiers[ai] && !identifiers[ai].decimal) {
+            return identifiers[ai];
+        }
+        return null;
+    }
+
+    static _createGs1Element(ai, definition, value) {
+        if (!definition) {
+            // Unknown AIs are kept, without a name.
+            return { ai: ai, name: null, value: value };
+        }
+        let parsedValue = value;
+        if (definition.date) {
+            parsedValue = Html5QrcodePayloadParser._parseGs1Date(ai, value);
+        } else if (definition.decimal) {
+            if (!/^\d+$/.test(value)) {
+                throw Html5QrcodePayloadParser._invalid(
+                    "GS1", `AI (${ai}) should be numeric, got '${value}'`);
+            }
+            parsedValue = Number(value) / Math.pow(10, Number(ai[3]));
+        } else if (definition.name == "gtin" || definition.name == "contentGtin") {
+            Html5QrcodePayloadParser._validateGtin(ai, value);
+        }
+        return { ai: ai, name: definition.name, value: parsedValue };
+    }
+
+    // YYMMDD to YYYY-MM-DD, DD of 00 means the last day of the month.
+    static _parseGs1Date(ai, value) {
+        const match = /^(\d{2})(\d{2})(\d{2})$/.exec(value);
+        const month = match ? Number(match[2]) : 0;
+        if (!match || month < 1 || month > 12) {
+            throw Html5QrcodePayloadParser._invalid(
+                "GS1", `AI (${ai}) should be a YYMMDD date, got '${value}'`);
+        }
+        // The century is picked so that the date is within 49 years in the
+        // past or 50 years in the future.
+        const currentYear = new Date().getFullYear();
+        let year = Math.floor(currentYear / 100) * 100 + Number(match[1]);
+        if (year - currentYear > 50) {
+            year -= 100;
+        } else if (currentYear - year >= 50) {
+            year += 100;
+        }
+        const daysInMonth = new Date(Date.UTC(year, month, 0)).getUTCDate();
+        const day = match[3] == "00" ? daysInMonth : Number(match[3]);
+        if (day > daysInMonth) {
+            throw Html5QrcodePayloadParser._invalid(
+                "GS1", `AI (${ai}) has an invalid day in '${value}'`);
+        }
+        const pad = number => `${number}`.padStart(2, "0");
+        return `${year}-${pad(month)}-${pad(day)}`;
+    }
+
+    static _validateGtin(ai, value) {
+        if (!/^\d{14}$/.test(value)) {
+            throw Html5QrcodePayloadParser._invalid(
+                "GS1", `AI (${ai}) should be 14 digits, got '${value}'`);
+        }
+        let sum = 0;
+        for (let i = 0; i < 13; ++i) {
+            sum += Number(value[i]) * (i % 2 == 0 ? 3 : 1);
+        }
+        const checkDigit = (10 - sum % 10) % 10;
+        if (checkDigit != Number(value[13])) {
+            throw Html5QrcodePayloadParser._invalid(
+                "GS1", `GTIN ${value} has an invalid check digit`);
+        }
+    }
+
+    // Parses "KEY:value;KEY:value;;" fields of WIFI:, MECARD: and MATMSG:,
+    // where \, ; : and \\ are escaped with a backslash. Keys may repeat.
+    static _parseKeyValueFields(text) {
+        const fields = new Map();
+        let field = "";
+        const addField = () => {
+            const separator = field.indexOf(":");
+            if (separator > 0) {
+                const key = field.substring(0, separator).toUpperCase();
+                const values = fields.get(key) || [];
+                values.push(field.substring(separator + 1)
+                    .replace(/\\([\\;,:"])/g, "$1"));
+                fields.set(key, values);
+            }
+            field = "";
+        };
+        for (let i = 0; i < text.length; ++i) {
+            if (text[i] == "\\" && i + 1 < text.length) {
+                // Kept escaped so that the first ':' splits the key.
+                field += text[i] + text[i + 1];
+                ++i;
+            } else if (text[i] == ";") {
+                addField();
+            } else {
+                field += text[i];
+            }
+        }
+        addField();
+        return fields;
+    }
+
+    static _unescapeVCardValue(value) {
+        return value.replace(/\\([nN;,\\])/g, (_, character) =>
+            character.toLowerCase() == "n" ? "\n" : character);
+    }
+
+    // "19900131" or "1990-01-31" to "1990-01-31".
+    static _formatBasicDate(value) {
+        if (!value) {
+            return null;
+        }
+        const match = /^(\d{4})-?(\d{2})-?(\d{2})/.exec(value);
+        return match ? `${match[1]}-${match[2]}-${match[3]}` : value;
+    }
+
+    static _createContact(format, fields) {
+        return {
+            type: Html5QrcodePayloadType.CONTACT,
+            format: format,
+            name: fields.name,
+            organization: fields.organization,
+            title: fields.title,
+            phones: fields.phones || [],
+            emails: fields.emails || [],
+            addresses: fields.addresses || [],
+            urls: fields.urls || [],
+            note: fields.note,
+            birthday: fields.birthday
+        };
+    }
+
+    static _createEmail(to, cc, bcc, subject, body) {
+        if (to.length == 0) {
+            throw Html5QrcodePayloadParser._invalid("email", "the recipient is missing");
+        }
+        return {
+            type: Html5QrcodePayloadType.EMAIL,
+            to: to,
+            cc: cc,
+            bcc: bcc,
+            subject: subject,
+            body: body
+        };
+    }
+
+    // Splits "path?a=1&b=2" into path and URLSearchParams.
+    static _splitQuery(text) {
+        const separator = text.indexOf("?");
+        if (separator < 0) {
+            return [text, new URLSearchParams()];
+        }
+        return [
+            text.substring(0, separator),
+            new URLSearchParams(text.substring(separator + 1))
+        ];
+    }
+
+    static _decodeUriComponent(format, value) {
+        try {
+            return decodeURIComponent(value);
+        } catch (error) {
+            throw Html5QrcodePayloadParser._invalid(format, `'${value}' is not URI encoded`);
+        }
+    }
+
+    static _hasPrefix(text, prefix) {
+        return text.substring(0, prefix.length).toUpperCase() == prefix.toUpperCase();
+    }
+
+    static _invalid(format, reason) {
+        return new Html5QrcodeError(Html5QrcodeErrorCode.INVALID_PAYLOAD,
+            `Invalid ${format} payload, ${reason}.`);
+    }
+    //#endregion
+
+    static _BUILT_IN_PARSERS = [
+        Html5QrcodePayloadParser._parseWifi,
+        Html5QrcodePayloadParser._parseMeCard,
+        Html5QrcodePayloadParser._parseVCard,
+        Html5QrcodePayloadParser._parseEmail,
+        Html5QrcodePayloadParser._parseSms,
+        Html5QrcodePayloadParser._parseGeo,
+        Html5QrcodePayloadParser._parsePhone,
+        Html5QrcodePayloadParser._parseGs1,
+        Html5QrcodePayloadParser._parseUrl
+    ];
+}
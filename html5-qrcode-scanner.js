@@ -0,0 +1,528 @@
+/**
+ * Drop-in scanner UI built around Html5Qrcode.
+ *
+ * Renders a camera picker, start / stop buttons, a camera permission button,
+ * a zoom slider (only when the camera supports zoom) and a tab to scan an
+ * image file instead of the camera. Needs html5-qrcode.js to be loaded first.
+ */
+class Html5QrcodeScanner {
+    static SCAN_TYPE_CAMERA = "camera";
+    static SCAN_TYPE_FILE = "file";
+    static DEFAULT_LABELS = Object.freeze({
+        cameraTab: "Scan with camera",
+        fileTab: "Scan an image file",
+        requestPermission: "Request camera permission",
+        requestingPermission: "Requesting camera permission...",
+        permissionDenied: "Camera permission denied.",
+        noCameras: "No cameras found.",
+        cameraInUse: "The camera is in use by another application.",
+        insecureContext: "The camera needs the page to be served over https.",
+        unsupportedBrowser: "This browser doesn't support camera access.",
+        selectCamera: "Select camera",
+        startScanning: "Start scanning",
+        stopScanning: "Stop scanning",
+        zoom: "Zoom",
+        chooseImage: "Choose an image",
+        scanning: "Scanning...",
+        scanSucceeded: "Code scanned.",
+        fileScanFailed: "No code found in the image."
+    });
+
+    /**
+     * Creates the scanner widget, call render() to draw it.
+     *
+     * @param {String} elementId - Id of the HTML element to render into.
+     * @param {Object} configuration configurations passed to the Html5Qrcode
+     *  constructor and to Html5Qrcode#start(), see html5-qrcode.js. Extra
+     *  supported fields:
+     *      - showCameraSelection: show the camera dropdown, default true.
+     *      - showPermissionButton: ask for camera permission with a button
+     *          instead of as soon as the widget is rendered, default true.
+     *      - showZoomSliderIfSupported: show a zoom slider when the running
+     *          camera supports zoom, default true.
+     *      - showFileScan: show the image file tab, default true.
+     *      - labels: overrides for Html5QrcodeScanner.DEFAULT_LABELS.
+     */
+    constructor(elementId, configuration) {
+        if (!document.getElementById(elementId)) {
+            throw new Html5QrcodeError(Html5QrcodeErrorCode.INVALID_CONFIG,
+                `HTML Element with id=${elementId} not found`);
+        }
+
+        const config = configuration ? configuration : {};
+        this._elementId = elementId;
+        this._config = config;
+        this._labels = Object.assign(
+            {}, Html5QrcodeScanner.DEFAULT_LABELS, config.labels);
+        this._html5Qrcode = null;
+        this._elements = null;
+        this._cameras = [];
+        this._scanType = Html5QrcodeScanner.SCAN_TYPE_CAMERA;
+        this._stopCameraListListener = null;
+    }
+
+    /**
+     * Renders the widget.
+     *
+     * @param {Function} qrCodeSuccessCallback callback on QR Code found, gets
+     *  the same arguments as the Html5Qrcode#start() success callback, for
+     *  both camera and file scans.
+     * @param {Function} qrCodeErrorCallback optional callback on QR Code
+     *  parse error.
+     */
+    render(qrCodeSuccessCallback, qrCodeErrorCallback) {
+        if (!qrCodeSuccessCallback || typeof qrCodeSuccessCallback != "function") {
+            throw new Html5QrcodeError(Html5QrcodeErrorCode.INVALID_CONFIG,
+                "qrCodeSuccessCallback is required and should be a function.");
+        }
+
+        this._qrCodeSuccessCallback = qrCodeSuccessCallback;
+        // Per frame parse errors are only logged in verbose mode by default.
+        this._qrCodeErrorCallback = qrCodeErrorCallback
+            ? qrCodeErrorCallback : error => Html5Qrcode._log(error);
+
+        const element = document.getElementById(this._elementId);
+        element.innerHTML = "";
+        this._elements = this._createUi(element);
+        this._html5Qrcode = new Html5Qrcode(this._getScanRegionId(), this._config);
+
+        if (this._config.showPermissionButton === false) {
+            this._requestCameras();
+            return;
+        }
+        // No need to ask again if the permission was already granted.
+        const $this = this;
+        Html5Qrcode.getCameraPermissionState().then(state => {
+            if (!$this._elements) {
+                return;
+            }
+            if (state == Html5QrcodePermissionState.GRANTED) {
+                $this._requestCameras();
+            } else {
+                $this._show($this._elements.permissionButton);
+            }
+        });
+    }
+
+    /**
+     * Stops scanning if needed and removes the widget.
+     *
+     * @returns Promise which resolves once the widget is removed.
+     */
+    clear() {
+        const $this = this;
+        const removeUi = () => {
+            if ($this._stopCameraListListener) {
+                $this._stopCameraListListener();
+                $this._stopCameraListListener = null;
+            }
+            $this._html5Qrcode = null;
+            $this._elements = null;
+            document.getElementById($this._elementId).innerHTML = "";
+        };
+
+        if (!this._html5Qrcode) {
+            removeUi();
+            return Promise.resolve();
+        }
+        // stop() is safe before start() and cancels a pending one.
+        return this._html5Qrcode.stop().then(removeUi);
+    }
+
+    //#region UI construction
+    _createUi(element) {
+        const labels = this._labels;
+        const elements = {};
+
+        elements.status = this._createElement("div", "status");
+        elements.status.setAttribute("role", "status");
+        elements.status.setAttribute("aria-live", "polite");
+        element.appendChild(elements.status);
+
+        const showFileScan = this._config.showFileScan !== false;
+        if (showFileScan) {
+            const tabList = this._createElement("div", "tabs");
+            tabList.setAttribute("role", "tablist");
+            elements.cameraTab = this._createTab(
+                Html5QrcodeScanner.SCAN_TYPE_CAMERA, labels.cameraTab);
+            elements.fileTab = this._createTab(
+                Html5QrcodeScanner.SCAN_TYPE_FILE, labels.fileTab);
+            tabList.appendChild(elements.cameraTab);
+            tabList.appendChild(elements.fileTab);
+            element.appendChild(tabList);
+        }
+
+        const scanRegion = this._createElement("div", "scan_region");
+        element.appendChild(scanRegion);
+
+        elements.cameraPanel = this._createPanel(
+            Html5QrcodeScanner.SCAN_TYPE_CAMERA, showFileScan);
+        element.appendChild(elements.cameraPanel);
+
+        elements.permissionButton = this._createButton(
+            "permission", labels.requestPermission, () => this._requestCameras());
+        this._hide(elements.permissionButton);
+        elements.cameraPanel.appendChild(elements.permissionButton);
+
+        elements.cameraSelect = this._createElement("select", "camera_select");
+        const cameraSelectContainer = this._createLabelledControl(
+            elements.cameraSelect, "camera_select_container", labels.selectCamera);
+        this._hide(cameraSelectContainer);
+        elements.cameraSelectContainer = cameraSelectContainer;
+        elements.cameraPanel.appendChild(cameraSelectContainer);
+
+        elements.startButton = this._createButton(
+            "start", labels.startScanning, () => this._startScanning());
+        this._hide(elements.startButton);
+        elements.cameraPanel.appendChild(elements.startButton);
+
+        elements.stopButton = this._createButton(
+            "stop", labels.stopScanning, () => this._stopScanning());
+        this._hide(elements.stopButton);
+        elements.cameraPanel.appendChild(elements.stopButton);
+
+        elements.zoomSlider = this._createElement("input", "zoom");
+        elements.zoomSlider.type = "range";
+        elements.zoomSlider.addEventListener("input", event => {
+            this._applyZoom(parseFloat(event.target.value));
+        });
+        elements.zoomContainer = this._createLabelledControl(
+            elements.zoomSlider, "zoom_container", labels.zoom);
+        this._hide(elements.zoomContainer);
+        elements.cameraPanel.appendChild(elements.zoomContainer);
+
+        if (showFileScan) {
+            elements.filePanel = this._createPanel(
+                Html5QrcodeScanner.SCAN_TYPE_FILE, showFileScan);
+            elements.fileInput = this._createElement("input", "file");
+            elements.fileInput.type = "file";
+            elements.fileInput.accept = "image/*";
+            elements.fileInput.addEventListener("change", event => {
+                if (event.target.files && event.target.files.length > 0) {
+                    this._scanFile(event.target.files[0]);
+                }
+            });
+            elements.filePanel.appendChild(this._createLabelledControl(
+                elements.fileInput, "file_container", labels.chooseImage));
+            this._hide(elements.filePanel);
+            element.appendChild(elements.filePanel);
+        }
+
+        return elements;
+    }
+
+    _createTab(scanType, label) {
+        const tab = this._createButton(`tab_${scanType}`, label, () => {
+            this._switchScanType(scanType);
+        });
+        tab.setAttribute("role", "tab");
+        tab.setAttribute("aria-controls", this._getId(`panel_${scanType}`));
+        tab.setAttribute("aria-selected", `${scanType == this._scanType}`);
+        return tab;
+    }
+
+    _createPanel(scanType, hasTabs) {
+        const panel = this._createElement("div", `panel_${scanType}`);
+        if (hasTabs) {
+            panel.setAttribute("role", "tabpanel");
+            panel.setAttribute("aria-labelledby", this._getId(`tab_${scanType}`));
+        }
+        return panel;
+    }
+
+    _createButton(name, label, onClick) {
+        const button = this._createElement("button", name);
+        button.type = "button";
+        button.innerText = label;
+        button.addEventListener("click", onClick);
+        return button;
+    }
+
+    _createLabelledControl(control, name, label) {
+        const container = this._createElement("div", name);
+        const labelElement = document.createElement("label");
+        labelElement.htmlFor = control.id;
+        labelElement.innerText = label;
+        container.appendChild(labelElement);
+        container.appendChild(control);
+        return container;
+    }
+
+    _createElement(tagName, name) {
+        const element = document.createElement(tagName);
+        // Element ids are prefixed so that multiple widgets can co-exist.
+        element.id = this._getId(name);
+        return element;
+    }
+    //#endregion
+
+    //#region UI actions
+    _requestCameras() {
+        const $this = this;
+        const elements = this._elements;
+        this._hide(elements.permissionButton);
+        this._setStatus(this._labels.requestingPermission);
+
+        Html5Qrcode.getCameras()
+            .then(cameras => {
+                $this._onCamerasChanged(cameras);
+                if (!$this._stopCameraListListener) {
+                    $this._stopCameraListListener = Html5Qrcode.onCameraListChange(
+                        cameras => $this._onCamerasChanged(cameras));
+                }
+            })
+            .catch(error => {
+                $this._setStatus(
+                    $this._getErrorLabel(error, $this._labels.permissionDenied));
+                $this._show(elements.permissionButton);
+                $this._qrCodeErrorCallback(error);
+            });
+    }
+
+    // Updates the camera picker, on first load and when cameras are plugged
+    // in or removed.
+    _onCamerasChanged(cameras) {
+        if (!this._elements) {
+            return;
+        }
+        this._cameras = cameras;
+        if (cameras.length == 0) {
+            this._setStatus(this._labels.noCameras);
+            this._hide(this._elements.startButton);
+            this._hide(this._elements.cameraSelectContainer);
+            return;
+        }
+        this._populateCameraSelect(cameras);
+        if (this._html5Qrcode.getState() == Html5QrcodeScannerState.NOT_STARTED) {
+            this._setStatus("");
+            this._show(this._elements.startButton);
+        }
+    }
+
+    _populateCameraSelect(cameras) {
+        const $this = this;
+        const cameraSelect = this._elements.cameraSelect;
+        const selectedCameraId = cameraSelect.value;
+        cameraSelect.innerHTML = "";
+        cameras.forEach((camera, index) => {
+            const option = document.createElement("option");
+            option.value = camera.id;
+            option.innerText = camera.label ? camera.label : `Camera ${index + 1}`;
+            cameraSelect.appendChild(option);
+        });
+
+        if (this._config.showCameraSelection !== false && cameras.length > 1) {
+            this._show(this._elements.cameraSelectContainer);
+        } else {
+            this._hide(this._elements.cameraSelectContainer);
+        }
+
+        // Keeps the choice of the user when the list is refreshed.
+        if (cameras.some(camera => camera.id == selectedCameraId)) {
+            cameraSelect.value = selectedCameraId;
+        } else if (this._config.rememberLastUsedCamera) {
+            Html5Qrcode.getLastUsedCameraId().then(cameraId => {
+                if (cameraId) {
+                    $this._elements.cameraSelect.value = cameraId;
+                }
+            });
+        }
+    }
+
+    _startScanning() {
+        const $this = this;
+        const elements = this._elements;
+        const html5Qrcode = this._html5Qrcode;
+        const cameraId = elements.cameraSelect.value;
+        elements.startButton.disabled = true;
+        elements.cameraSelect.disabled = true;
+
+        // start() throws for an invalid config or state, handled like a
+        // failed start so that the controls are enabled again.
+        let startPromise;
+        try {
+            startPromise = this._html5Qrcode.start(
+                cameraId,
+                Object.assign({}, this._config),
+                function() {
+                    $this._setStatus($this._labels.scanSucceeded);
+                    $this._qrCodeSuccessCallback.apply(null, arguments);
+                },
+                this._qrCodeErrorCallback);
+        } catch (error) {
+            startPromise = Promise.reject(error);
+        }
+        startPromise
+            .then(() => {
+                if ($this._isCleared(html5Qrcode)) {
+                    return;
+                }
+                $this._setStatus($this._labels.scanning);
+                $this._hide(elements.startButton);
+                elements.startButton.disabled = false;
+                $this._show(elements.stopButton);
+                $this._possiblyShowZoomSlider();
+            })
+            .catch(error => {
+                // clear() cancelled the start.
+                if ($this._isCleared(html5Qrcode)) {
+                    return;
+                }
+                elements.startButton.disabled = false;
+                elements.cameraSelect.disabled = false;
+                $this._setStatus($this._getErrorLabel(error, `${error}`));
+                $this._qrCodeErrorCallback(error);
+            });
+    }
+
+    // Returns the label for an Html5QrcodeError, or defaultLabel.
+    _getErrorLabel(error, defaultLabel) {
+        switch (error && error.code) {
+            case Html5QrcodeErrorCode.PERMISSION_DENIED:
+                return this._labels.permissionDenied;
+            case Html5QrcodeErrorCode.NO_CAMERA:
+                return this._labels.noCameras;
+            case Html5QrcodeErrorCode.CAMERA_IN_USE:
+                return this._labels.cameraInUse;
+            case Html5QrcodeErrorCode.INSECURE_CONTEXT:
+                return this._labels.insecureContext;
+            case Html5QrcodeErrorCode.UNSUPPORTED_BROWSER:
+                return this._labels.unsupportedBrowser;
+            default:
+                return defaultLabel;
+        }
+    }
+
+    _stopScanning() {
+        const $this = this;
+        const elements = this._elements;
+        const html5Qrcode = this._html5Qrcode;
+        elements.stopButton.disabled = true;
+        return html5Qrcode.stop()
+            .then(() => {
+                if ($this._isCleared(html5Qrcode)) {
+                    return;
+                }
+                elements.stopButton.disabled = false;
+                elements.cameraSelect.disabled = false;
+                $this._hide(elements.stopButton);
+                $this._hide(elements.zoomContainer);
+                $this._show(elements.startButton);
+                $this._setStatus("");
+            })
+            .catch(error => {
+                elements.stopButton.disabled = false;
+                $this._qrCodeErrorCallback(error);
+            });
+    }
+
+    _possiblyShowZoomSlider() {
+        if (this._config.showZoomSliderIfSupported === false) {
+            return;
+        }
+
+        const capabilities = this._html5Qrcode.getRunningTrackCapabilities();
+        if (!capabilities.zoom) {
+            return;
+        }
+
+        const settings = this._html5Qrcode.getRunningTrackSettings();
+        const zoomSlider = this._elements.zoomSlider;
+        zoomSlider.min = capabilities.zoom.min;
+        zoomSlider.max = capabilities.zoom.max;
+        zoomSlider.step = capabilities.zoom.step ? capabilities.zoom.step : 0.1;
+        zoomSlider.value = settings.zoom ? settings.zoom : capabilities.zoom.min;
+        zoomSlider.setAttribute("aria-valuetext", `${zoomSlider.value}x`);
+        this._show(this._elements.zoomContainer);
+    }
+
+    _applyZoom(zoom) {
+        this._elements.zoomSlider.setAttribute("aria-valuetext", `${zoom}x`);
+        this._html5Qrcode.applyVideoConstraints({ advanced: [{ zoom: zoom }] })
+            .catch(error => Html5Qrcode._log(`Unable to zoom, error = ${error}`));
+    }
+
+    _scanFile(file) {
+        const $this = this;
+        this._setStatus(this._labels.scanning);
+        this._html5Qrcode.scanFile(
+            file,
+            /* showImage= */ true,
+            {
+                formatsToSupport: this._config.formatsToSupport,
+                resultMode: Html5Qrcode.RESULT_MODE_STRUCTURED
+            })
+            .then(result => {
+                $this._setStatus($this._labels.scanSucceeded);
+                if ($this._config.resultMode == Html5Qrcode.RESULT_MODE_STRUCTURED) {
+                    $this._qrCodeSuccessCallback(result);
+                } else {
+                    $this._qrCodeSuccessCallback(result.text, result);
+                }
+            })
+            .catch(error => {
+                $this._setStatus($this._labels.fileScanFailed);
+                $this._qrCodeErrorCallback(error);
+            });
+    }
+
+    _switchScanType(scanType) {
+        if (scanType == this._scanType) {
+            return;
+        }
+
+        const $this = this;
+        const elements = this._elements;
+        const html5Qrcode = this._html5Qrcode;
+        // Also stops a start() which is still waiting for the camera.
+        const isScanning = html5Qrcode.getState()
+            != Html5QrcodeScannerState.NOT_STARTED;
+        const stopScanning = isScanning ? this._stopScanning() : Promise.resolve();
+        stopScanning.then(() => {
+            if ($this._isCleared(html5Qrcode)) {
+                return;
+            }
+            $this._scanType = scanType;
+            const isCamera = scanType == Html5QrcodeScanner.SCAN_TYPE_CAMERA;
+            elements.cameraTab.setAttribute("aria-selected", `${isCamera}`);
+            elements.fileTab.setAttribute("aria-selected", `${!isCamera}`);
+            if (isCamera) {
+                $this._html5Qrcode.clear();
+                $this._show(elements.cameraPanel);
+                $this._hide(elements.filePanel);
+            } else {
+                $this._hide(elements.cameraPanel);
+                $this._show(elements.filePanel);
+                elements.fileInput.value = "";
+            }
+            $this._setStatus("");
+        });
+    }
+    //#endregion
+
+    // Whether clear() removed the widget since html5Qrcode was in use, a
+    // later render() creates another one.
+    _isCleared(html5Qrcode) {
+        return this._html5Qrcode !== html5Qrcode;
+    }
+
+    _setStatus(message) {
+        this._elements.status.innerText = message;
+    }
+
+    _show(element) {
+        element.hidden = false;
+    }
+
+    _hide(element) {
+        element.hidden = true;
+    }
+
+    _getScanRegionId() {
+        return this._getId("scan_region");
+    }
+
+    _getId(name) {
+        return `${this._elementId}__${name}`;
+    }
+}
@@ -0,0 +1,124 @@
+/**
+ * Web Worker used by Html5QrcodeWorkerDecoder in html5-qrcode.js.
+ *
+ * Decodes frames with BarcodeDetector when asked to and supported in the
+ * worker, else with jsqrcode, which should be passed in the init message
+ * scripts so that it can be loaded with importScripts().
+ *
+ * Messages received:
+ *      - { type: "init", scripts, formats, useBarcodeDetector }
+ *      - { type: "decode", id, image } where image is ImageBitmap or ImageData.
+ * Messages sent:
+ *      - { type: "ready", decoder, acceptsImageBitmap }
+ *      - { type: "initError", error }
+ *      - { type: "result", id, result } or { type: "result", id, error }
+ */
+let decode = null;
+
+const toImageData = image => {
+    if (image instanceof ImageData) {
+        return image;
+    }
+    const canvas = new OffscreenCanvas(image.width, image.height);
+    const context = canvas.getContext("2d");
+    context.drawImage(image, 0, 0);
+    return context.getImageData(0, 0, image.width, image.height);
+};
+
+const createBarcodeDetectorDecode = formats => {
+    const detector = new BarcodeDetector({ formats: formats });
+    return image => detector.detect(image).then(barcodes => {
+        if (barcodes.length == 0) {
+            throw "No barcode detected.";
+        }
+        return {
+            text: barcodes[0].rawValue,
+            format: barcodes[0].format,
+            cornerPoints: barcodes[0].cornerPoints.map(
+                point => ({ x: point.x, y: point.y }))
+        };
+    });
+};
+
+const createJsQrcodeDecode = () => {
+    return image => new Promise(resolve => {
+        // jsqrcode reads the frame from these fields, no DOM needed.
+        const imageData = toImageData(image);
+        qrcode.width = imageData.width;
+        qrcode.height = imageData.height;
+        qrcode.imagedata = imageData;
+        resolve({
+            text: qrcode.process(/* ctx= */ null),
+            format: "qr_code",
+            cornerPoints: null
+        });
+    });
+};
+
+const onInit = message => {
+    try {
+        if (message.scripts.length > 0) {
+            importScripts(...message.scripts);
+        }
+
+        if (message.useBarcodeDetector && typeof BarcodeDetector != "undefined") {
+            decode = createBarcodeDetectorDecode(message.formats);
+            postMessage({
+                type: "ready",
+                decoder: "BarcodeDetector",
+                acceptsImageBitmap: true
+            });
+            return;
+        }
+
+        if (typeof qrcode == "undefined") {
+            throw "qrcode is not defined, pass the jsqrcode bundle in 'scripts'.";
+        }
+        decode = createJsQrcodeDecode();
+        postMessage({
+            type: "ready",
+            decoder: "jsqrcode",
+            acceptsImageBitmap: typeof OffscreenCanvas != "undefined"
+        });
+    } catch (error) {
+        postMessage({ type: "initError", error: `${error}` });
+    }
+};
+
+const onDecode = message => {
+    const image = message.image;
+    const closeImage = () => {
+        if (typeof image.close == "function") {
+            image.close();
+        }
+    };
+
+    if (!decode) {
+        closeImage();
+        postMessage({ type: "result", id: message.id, error: "Worker not initialized." });
+        return;
+    }
+
+    decode(image)
+        .then(result => {
+            postMessage({ type: "result", id: message.id, result: result });
+        })
+        .catch(error => {
+            postMessage({ type: "result", id: message.id, error: `${error}` });
+        })
+        .then(closeImage);
+};
+
+onmessage = event => {
+    const message = event.data;
+    switch (message.type) {
+        case "init":
+            onInit(message);
+            break;
+        case "decode":
+            onDecode(message);
+            break;
+        default:
+            postMessage({ type: "initError", error: `Unknown message type ${message.type}.` });
+    }
+};
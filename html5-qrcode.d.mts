@@ -0,0 +1,669 @@
+/**
+ * TypeScript declarations of html5-qrcode.mjs, which is generated with
+ * `node build-module.js`. The full documentation of each class and config
+ * field is in the matching html5-qrcode*.js file.
+ */
+
+export declare const Html5QrcodeSupportedFormats: {
+    readonly QR_CODE: "QR_CODE";
+    readonly AZTEC: "AZTEC";
+    readonly CODABAR: "CODABAR";
+    readonly CODE_39: "CODE_39";
+    readonly CODE_93: "CODE_93";
+    readonly CODE_128: "CODE_128";
+    readonly DATA_MATRIX: "DATA_MATRIX";
+    readonly ITF: "ITF";
+    readonly EAN_13: "EAN_13";
+    readonly EAN_8: "EAN_8";
+    readonly PDF_417: "PDF_417";
+    readonly UPC_A: "UPC_A";
+    readonly UPC_E: "UPC_E";
+};
+export type Html5QrcodeSupportedFormat =
+    typeof Html5QrcodeSupportedFormats[keyof typeof Html5QrcodeSupportedFormats];
+
+export declare const Html5QrcodeScannerState: {
+    readonly NOT_STARTED: "NOT_STARTED";
+    readonly STARTING: "STARTING";
+    readonly SCANNING: "SCANNING";
+    readonly PAUSED: "PAUSED";
+};
+export type Html5QrcodeScannerStateValue =
+    typeof Html5QrcodeScannerState[keyof typeof Html5QrcodeScannerState];
+
+export declare const Html5QrcodeScanMode: {
+    readonly SINGLE: "SINGLE";
+    readonly CONTINUOUS: "CONTINUOUS";
+};
+export type Html5QrcodeScanModeValue =
+    typeof Html5QrcodeScanMode[keyof typeof Html5QrcodeScanMode];
+
+export declare const Html5QrcodePermissionState: {
+    readonly GRANTED: "granted";
+    readonly DENIED: "denied";
+    readonly PROMPT: "prompt";
+    readonly UNKNOWN: "unknown";
+};
+export type Html5QrcodePermissionStateValue =
+    typeof Html5QrcodePermissionState[keyof typeof Html5QrcodePermissionState];
+
+export declare const Html5QrcodeErrorCode: {
+    readonly PERMISSION_DENIED: "PERMISSION_DENIED";
+    readonly NO_CAMERA: "NO_CAMERA";
+    readonly CAMERA_IN_USE: "CAMERA_IN_USE";
+    readonly INSECURE_CONTEXT: "INSECURE_CONTEXT";
+    readonly UNSUPPORTED_BROWSER: "UNSUPPORTED_BROWSER";
+    readonly INVALID_CONFIG: "INVALID_CONFIG";
+    readonly INVALID_STATE: "INVALID_STATE";
+    readonly DECODE_MISS: "DECODE_MISS";
+    readonly INVALID_PAYLOAD: "INVALID_PAYLOAD";
+    readonly UNKNOWN: "UNKNOWN";
+};
+export type Html5QrcodeErrorCodeValue =
+    typeof Html5QrcodeErrorCode[keyof typeof Html5QrcodeErrorCode];
+
+export declare class Html5QrcodeError extends Error {
+    constructor(code: Html5QrcodeErrorCodeValue, message: string, cause?: unknown);
+    readonly code: Html5QrcodeErrorCodeValue;
+    readonly cause: unknown;
+    static fromMediaError(error: unknown, message: string): Html5QrcodeError;
+    static fromDecodeError(error: unknown): Html5QrcodeError;
+}
+
+//#region results
+export interface Html5QrcodePoint {
+    x: number;
+    y: number;
+}
+
+export interface Html5QrcodeResult {
+    /** Decoded text. */
+    text: string;
+    format: Html5QrcodeSupportedFormat;
+    /** Name of the decoder used. */
+    decoder: string;
+    /** In video or image coordinates, null if the decoder doesn't report them. */
+    cornerPoints: Html5QrcodePoint[] | null;
+    /** Milliseconds since epoch. */
+    timestamp: number;
+    /** Camera id, file name, video URL or video element id. */
+    source: string | null;
+    /** With parsePayload, null if the text was malformed. */
+    payload?: Html5QrcodePayload | null;
+    /** With parsePayload, why the payload is null. */
+    payloadError?: Html5QrcodeError;
+}
+
+export interface Html5QrcodeScanStatsSnapshot {
+    framesScanned: number;
+    framesDropped: number;
+    successes: number;
+    misses: number;
+    resultsReported: number;
+    successRate: number;
+    averageDecodeTimeMs: number;
+    lastDecodeTimeMs: number | null;
+    maxDecodeTimeMs: number;
+}
+
+export interface Html5QrcodeCameraDevice {
+    id: string;
+    label: string;
+}
+//#endregion
+
+//#region decoders and preprocessing
+export interface Html5QrcodeDecodeResult {
+    text: string;
+    format: Html5QrcodeSupportedFormat;
+    cornerPoints?: Html5QrcodePoint[] | null;
+}
+
+/** A decoder which can be passed to Html5Qrcode with { decoder }. */
+export interface Html5QrcodeDecoder {
+    name: string;
+    decodeAsync(canvas: HTMLCanvasElement): Promise<Html5QrcodeDecodeResult>;
+    decodeAllAsync?(canvas: HTMLCanvasElement): Promise<Html5QrcodeDecodeResult[]>;
+    terminate?(): void;
+}
+
+export declare class Html5QrcodeJsQrcodeDecoder implements Html5QrcodeDecoder {
+    static readonly NAME: "jsqrcode";
+    static isSupported(): boolean;
+    constructor();
+    name: string;
+    decodeAsync(canvas: HTMLCanvasElement): Promise<Html5QrcodeDecodeResult>;
+}
+
+export declare class Html5QrcodeBarcodeDetectorDecoder implements Html5QrcodeDecoder {
+    static readonly NAME: "BarcodeDetector";
+    static readonly FORMAT_MAP: Readonly<Record<Html5QrcodeSupportedFormat, string>>;
+    static isSupported(): boolean;
+    constructor(formats: Html5QrcodeSupportedFormat[]);
+    name: string;
+    decodeAsync(canvas: HTMLCanvasElement): Promise<Html5QrcodeDecodeResult>;
+    decodeAllAsync(canvas: HTMLCanvasElement): Promise<Html5QrcodeDecodeResult[]>;
+}
+
+export interface Html5QrcodeWorkerConfig {
+    /** URL of html5-qrcode-worker.js. */
+    url: string;
+    /** Scripts the worker loads with importScripts(), for example jsqrcode. */
+    scripts?: string[];
+}
+
+export declare class Html5QrcodeWorkerDecoder implements Html5QrcodeDecoder {
+    static readonly NAME: "worker";
+    static isSupported(): boolean;
+    constructor(workerConfig: Html5QrcodeWorkerConfig, options?: {
+        formats?: Html5QrcodeSupportedFormat[];
+        useBarCodeDetectorIfSupported?: boolean;
+    });
+    name: string;
+    decodeAsync(canvas: HTMLCanvasElement): Promise<Html5QrcodeDecodeResult>;
+    terminate(): void;
+}
+
+export interface Html5QrcodeImageDataLike {
+    data: Uint8ClampedArray;
+    width: number;
+    height: number;
+}
+
+export type Html5QrcodeFilter = (
+    imageData: Html5QrcodeImageDataLike,
+    options?: Record<string, unknown>) => Html5QrcodeImageDataLike | void;
+
+export type Html5QrcodePreprocessingStep =
+    | string
+    | { name: string; options?: Record<string, unknown> }
+    | Html5QrcodeFilter;
+
+export declare class Html5QrcodeFrameProcessor {
+    static readonly FLIP_HORIZONTAL: "flipHorizontal";
+    static readonly BUILT_IN_FILTERS: Readonly<Record<string, Html5QrcodeFilter>>;
+    static registerFilter(name: string, filter: Html5QrcodeFilter): void;
+    static grayscale<T extends Html5QrcodeImageDataLike>(imageData: T): T;
+    static contrastStretch<T extends Html5QrcodeImageDataLike>(
+        imageData: T, options?: { clipFraction?: number }): T;
+    static adaptiveThreshold<T extends Html5QrcodeImageDataLike>(
+        imageData: T, options?: { windowSize?: number; offset?: number }): T;
+    static invert<T extends Html5QrcodeImageDataLike>(imageData: T): T;
+    static flipHorizontal<T extends Html5QrcodeImageDataLike>(imageData: T): T;
+    constructor(steps: Html5QrcodePreprocessingStep[]);
+    process(imageData: Html5QrcodeImageDataLike): Html5QrcodeImageDataLike;
+    isEmpty(): boolean;
+    isMirroring(): boolean;
+}
+//#endregion
+
+//#region overlay
+export interface Html5QrcodeOverlayConfig {
+    shadingColor?: string;
+    shadingOpacity?: number;
+    cornerBrackets?: boolean | { color?: string; length?: number; thickness?: number };
+    scanLine?: boolean | { color?: string; thickness?: number; durationMs?: number };
+    outline?: boolean | { color?: string; thickness?: number; durationMs?: number };
+    successFlash?: boolean | { color?: string; opacity?: number; durationMs?: number };
+    /** true for a short beep, or the URL of an audio file. */
+    sound?: boolean | string;
+    /** true, or a navigator.vibrate() pattern. */
+    vibrate?: boolean | number | number[];
+}
+
+export declare class Html5QrcodeOverlay {
+    static readonly CLASSNAME: string;
+    static readonly DEFAULTS: Readonly<Record<string, unknown>>;
+    constructor(config?: Html5QrcodeOverlayConfig);
+}
+//#endregion
+
+//#region Html5Qrcode
+export type Html5QrcodeResultMode = "legacy" | "structured";
+
+export interface Html5QrcodeConfig {
+    experimentalFeatures?: { useBarCodeDetectorIfSupported?: boolean };
+    formatsToSupport?: Html5QrcodeSupportedFormat[];
+    decoder?: Html5QrcodeDecoder;
+    worker?: Html5QrcodeWorkerConfig;
+    resultMode?: Html5QrcodeResultMode;
+    preprocessing?: Html5QrcodePreprocessingStep[];
+    parsePayload?: boolean;
+    history?: Html5QrcodeScanHistory;
+}
+
+export type Html5QrcodeFacingMode = "user" | "environment" | "left" | "right";
+
+/** Camera id, camera selection or video input of Html5Qrcode#start(). */
+export type Html5QrcodeCameraIdOrConfig =
+    | string
+    | { facingMode: Html5QrcodeFacingMode | { exact: Html5QrcodeFacingMode } }
+    | { deviceId: string | { exact: string } }
+    | { mediaStream: MediaStream }
+    | { videoElement: HTMLVideoElement }
+    | { videoFile: Blob }
+    | { videoUrl: string };
+
+export type Html5QrcodeQrboxSize =
+    | number
+    | { width: number; height: number }
+    | ((viewfinderWidth: number, viewfinderHeight: number) =>
+        { width: number; height: number });
+
+export interface Html5QrcodeStartConfig {
+    fps?: number;
+    qrbox?: Html5QrcodeQrboxSize;
+    videoConstraints?: MediaTrackConstraints;
+    loop?: boolean;
+    experimentalFeatures?: { useBarCodeDetectorIfSupported?: boolean };
+    formatsToSupport?: Html5QrcodeSupportedFormat[];
+    aspectRatio?: number;
+    resolution?: { width: number; height: number };
+    frameRate?: number;
+    preprocessing?: Html5QrcodePreprocessingStep[];
+    parsePayload?: boolean;
+    useVideoFrameCallback?: boolean;
+    scanMode?: Html5QrcodeScanModeValue;
+    cooldownMs?: number;
+    dedupeWindowMs?: number;
+    requiredConsecutiveReads?: number;
+    rememberLastUsedCamera?: boolean;
+    resultMode?: Html5QrcodeResultMode;
+    reportDecodeMisses?: boolean;
+    overlay?: Html5QrcodeOverlayConfig;
+}
+
+export interface Html5QrcodeExhaustiveOptions {
+    scales?: number[];
+    tileGrids?: number[];
+    rotations?: number[];
+    tryInverted?: boolean;
+    maxDimension?: number;
+}
+
+export interface Html5QrcodeScanImageConfig {
+    formatsToSupport?: Html5QrcodeSupportedFormat[];
+    resultMode?: Html5QrcodeResultMode;
+    preprocessing?: Html5QrcodePreprocessingStep[];
+    parsePayload?: boolean;
+    exhaustive?: boolean;
+    exhaustiveOptions?: Html5QrcodeExhaustiveOptions;
+}
+
+export type Html5QrcodeImageSource =
+    | Blob
+    | string
+    | HTMLImageElement
+    | HTMLCanvasElement
+    | ImageBitmap
+    | ImageData;
+
+/**
+ * Success callback of start(), called with (decodedText, result) in the
+ * legacy result mode and with (result) in the structured one. When the mode
+ * isn't known statically the first argument is either of them.
+ */
+export type Html5QrcodeSuccessCallback<
+    M extends Html5QrcodeResultMode = Html5QrcodeResultMode> =
+    [M] extends ["structured"] ? (result: Html5QrcodeResult) => void
+    : [M] extends ["legacy"] ? (decodedText: string, result: Html5QrcodeResult) => void
+    : (decodedTextOrResult: string | Html5QrcodeResult, result?: Html5QrcodeResult) => void;
+
+/** Result of scanFile() and scanImage(), the text in the legacy result mode. */
+export type Html5QrcodeScanResult<
+    M extends Html5QrcodeResultMode = Html5QrcodeResultMode> =
+    [M] extends ["structured"] ? Html5QrcodeResult
+    : [M] extends ["legacy"] ? string
+    : string | Html5QrcodeResult;
+
+/** Scan image configuration without { exhaustive: true }. */
+export type Html5QrcodeSingleScanImageConfig =
+    Html5QrcodeScanImageConfig & { exhaustive?: false };
+
+export type Html5QrcodeErrorCallback = (error: Html5QrcodeError) => void;
+
+/** M is the resultMode passed to the constructor, "legacy" by default. */
+export declare class Html5Qrcode<M extends Html5QrcodeResultMode = "legacy"> {
+    static readonly DEFAULT_WIDTH: number;
+    static readonly SCAN_DEFAULT_FPS: number;
+    static readonly MIN_QR_BOX_SIZE: number;
+    static readonly EXHAUSTIVE_SCAN_DEFAULTS: Readonly<Required<Html5QrcodeExhaustiveOptions>>;
+    static readonly LAST_USED_CAMERA_STORAGE_KEY: string;
+    static readonly FACING_MODES: Html5QrcodeFacingMode[];
+    static readonly RESULT_MODE_LEGACY: "legacy";
+    static readonly RESULT_MODE_STRUCTURED: "structured";
+    static readonly CAPABILITY_CONSTRAINTS: string[];
+    static VERBOSE: boolean;
+
+    static getCameras(): Promise<Html5QrcodeCameraDevice[]>;
+    static isSecureContext(): boolean;
+    static getCameraPermissionState(): Promise<Html5QrcodePermissionStateValue>;
+    static requestCameraPermission(): Promise<void>;
+    /** Returns a function to call to stop listening. */
+    static onCameraListChange(
+        callback: (cameras: Html5QrcodeCameraDevice[]) => void): () => void;
+    static getLastUsedCameraId(): Promise<string | null>;
+    static clearLastUsedCameraId(): void;
+
+    constructor(
+        elementId: string, configuration?: Html5QrcodeConfig & { resultMode?: M });
+
+    /** A resultMode in configuration overrides the one of the constructor. */
+    start<StartMode extends Html5QrcodeResultMode>(
+        cameraIdOrConfig: Html5QrcodeCameraIdOrConfig,
+        configuration: Html5QrcodeStartConfig & { resultMode: StartMode },
+        qrCodeSuccessCallback: Html5QrcodeSuccessCallback<StartMode>,
+        qrCodeErrorCallback?: Html5QrcodeErrorCallback): Promise<void>;
+    start(
+        cameraIdOrConfig: Html5QrcodeCameraIdOrConfig,
+        configuration: Html5QrcodeStartConfig | undefined,
+        qrCodeSuccessCallback: Html5QrcodeSuccessCallback<M>,
+        qrCodeErrorCallback?: Html5QrcodeErrorCallback): Promise<void>;
+    pause(shouldPauseVideo?: boolean): void;
+    resume(): void;
+    stop(): Promise<boolean>;
+    getState(): Html5QrcodeScannerStateValue;
+    getStats(): Html5QrcodeScanStatsSnapshot;
+    resetStats(): void;
+
+    /**
+     * Resolves with every result with { exhaustive: true }, else with the
+     * text, or the result in the structured result mode.
+     */
+    scanFile(
+        imageFile: File,
+        showImage: boolean | undefined,
+        configuration: Html5QrcodeScanImageConfig & { exhaustive: true }):
+        Promise<Html5QrcodeResult[]>;
+    scanFile<ScanMode extends Html5QrcodeResultMode>(
+        imageFile: File,
+        showImage: boolean | undefined,
+        configuration: Html5QrcodeSingleScanImageConfig & { resultMode: ScanMode }):
+        Promise<Html5QrcodeScanResult<ScanMode>>;
+    scanFile(
+        imageFile: File,
+        showImage?: boolean,
+        configuration?: Html5QrcodeSingleScanImageConfig):
+        Promise<Html5QrcodeScanResult<M>>;
+    scanFile(
+        imageFile: File,
+        showImage?: boolean,
+        configuration?: Html5QrcodeScanImageConfig):
+        Promise<Html5QrcodeScanResult | Html5QrcodeResult[]>;
+    scanImage(
+        source: Html5QrcodeImageSource,
+        showImage: boolean | undefined,
+        configuration: Html5QrcodeScanImageConfig & { exhaustive: true }):
+        Promise<Html5QrcodeResult[]>;
+    scanImage<ScanMode extends Html5QrcodeResultMode>(
+        source: Html5QrcodeImageSource,
+        showImage: boolean | undefined,
+        configuration: Html5QrcodeSingleScanImageConfig & { resultMode: ScanMode }):
+        Promise<Html5QrcodeScanResult<ScanMode>>;
+    scanImage(
+        source: Html5QrcodeImageSource,
+        showImage?: boolean,
+        configuration?: Html5QrcodeSingleScanImageConfig):
+        Promise<Html5QrcodeScanResult<M>>;
+    scanImage(
+        source: Html5QrcodeImageSource,
+        showImage?: boolean,
+        configuration?: Html5QrcodeScanImageConfig):
+        Promise<Html5QrcodeScanResult | Html5QrcodeResult[]>;
+    enablePasteAndDrop<ScanMode extends Html5QrcodeResultMode>(
+        qrCodeSuccessCallback: Html5QrcodeSuccessCallback<ScanMode>,
+        qrCodeErrorCallback: ((error: unknown) => void) | undefined,
+        configuration: Html5QrcodeScanImageConfig & { resultMode: ScanMode }): void;
+    enablePasteAndDrop(
+        qrCodeSuccessCallback: Html5QrcodeSuccessCallback<M>,
+        qrCodeErrorCallback?: (error: unknown) => void,
+        configuration?: Html5QrcodeScanImageConfig): void;
+    disablePasteAndDrop(): void;
+    clear(): void;
+
+    getRunningTrackCapabilities(): MediaTrackCapabilities;
+    getRunningTrackSettings(): MediaTrackSettings;
+    applyVideoConstraints(videoConstraints: MediaTrackConstraints): Promise<void>;
+    isTorchSupported(): boolean;
+    setTorch(isOn: boolean): Promise<void>;
+    turnOnTorch(): Promise<void>;
+    turnOffTorch(): Promise<void>;
+    isTorchOn(): boolean;
+    getDecoderName(): string | null;
+}
+//#endregion
+
+//#region html5-qrcode-payload.js
+export declare const Html5QrcodePayloadType: {
+    readonly TEXT: "text";
+    readonly URL: "url";
+    readonly WIFI: "wifi";
+    readonly CONTACT: "contact";
+    readonly LOCATION: "location";
+    readonly SMS: "sms";
+    readonly EMAIL: "email";
+    readonly PHONE: "phone";
+    readonly GS1: "gs1";
+};
+
+/**
+ * Payload returned by Html5QrcodePayloadParser.parse(), the fields depend on
+ * the type, see html5-qrcode-payload.js.
+ */
+export interface Html5QrcodePayload {
+    type: string;
+    raw: string;
+    [field: string]: unknown;
+}
+
+export declare class Html5QrcodePayloadParser {
+    static readonly GS1_APPLICATION_IDENTIFIERS: Readonly<Record<string, {
+        name: string;
+        length?: number;
+        maxLength?: number;
+        date?: boolean;
+        decimal?: boolean;
+    }>>;
+    static readonly GS1_GROUP_SEPARATOR: string;
+    static registerParser(
+        name: string, parser: (text: string) => Html5QrcodePayload | null): void;
+    static unregisterParser(name: string): void;
+    static parse(text: string): Html5QrcodePayload;
+}
+//#endregion
+
+//#region html5-qrcode-history.js
+export declare const Html5QrcodeHistoryStorage: {
+    readonly INDEXED_DB: "indexedDB";
+    readonly LOCAL_STORAGE: "localStorage";
+    readonly MEMORY: "memory";
+};
+
+export interface Html5QrcodeHistoryEntry {
+    id: number;
+    text: string;
+    format: string;
+    timestamp: number;
+    source: string | null;
+    sessionId: string;
+    synced: boolean;
+}
+
+export interface Html5QrcodeHistoryFilter {
+    since?: number;
+    until?: number;
+    text?: string;
+    format?: Html5QrcodeSupportedFormat;
+    source?: string;
+    sessionId?: string;
+    synced?: boolean;
+    limit?: number;
+}
+
+export interface Html5QrcodeScanHistoryConfig {
+    storage?: typeof Html5QrcodeHistoryStorage[keyof typeof Html5QrcodeHistoryStorage];
+    name?: string;
+    maxEntries?: number;
+    sync?: {
+        url: string;
+        headers?: Record<string, string>;
+        batchSize?: number;
+        retryDelayMs?: number;
+        maxRetryDelayMs?: number;
+        auto?: boolean;
+    };
+}
+
+export declare class Html5QrcodeScanHistory {
+    static readonly DEFAULT_NAME: string;
+    static readonly DEFAULT_MAX_ENTRIES: number;
+    static readonly CSV_COLUMNS: string[];
+    constructor(configuration?: Html5QrcodeScanHistoryConfig);
+    getSessionId(): string;
+    record(result: Html5QrcodeResult): Promise<Html5QrcodeHistoryEntry>;
+    query(filter?: Html5QrcodeHistoryFilter): Promise<Html5QrcodeHistoryEntry[]>;
+    clear(): Promise<void>;
+    exportJson(filter?: Html5QrcodeHistoryFilter): Promise<string>;
+    exportCsv(filter?: Html5QrcodeHistoryFilter): Promise<string>;
+    getPendingCount(): Promise<number>;
+    /** Resolves with the number of entries synced. */
+    sync(): Promise<number>;
+    destroy(): void;
+}
+//#endregion
+
+//#region html5-qrcode-generator.js
+export declare const Html5QrcodeErrorCorrectionLevel: {
+    readonly LOW: "L";
+    readonly MEDIUM: "M";
+    readonly QUARTILE: "Q";
+    readonly HIGH: "H";
+};
+export type Html5QrcodeErrorCorrectionLevelValue =
+    typeof Html5QrcodeErrorCorrectionLevel[keyof typeof Html5QrcodeErrorCorrectionLevel];
+
+export interface Html5QrcodeEncodeOptions {
+    errorCorrectionLevel?: Html5QrcodeErrorCorrectionLevelValue;
+    /** 1 to 40, defaults to the smallest version that fits. */
+    version?: number;
+    /** 0 to 7, defaults to the mask with the lowest penalty. */
+    mask?: number;
+}
+
+export interface Html5QrcodeRenderOptions extends Html5QrcodeEncodeOptions {
+    /** Quiet zone in modules, defaults to 4. */
+    margin?: number;
+    /** Pixels per module, defaults to 4. */
+    scale?: number;
+    darkColor?: string;
+    /** "transparent" leaves light modules transparent. */
+    lightColor?: string;
+    canvas?: HTMLCanvasElement;
+}
+
+export interface Html5QrcodeImageOptions extends Html5QrcodeRenderOptions {
+    type?: "image/png" | "image/jpeg" | "image/webp" | "image/svg+xml";
+    fileName?: string;
+}
+
+export interface Html5QrcodeMatrix {
+    version: number;
+    errorCorrectionLevel: Html5QrcodeErrorCorrectionLevelValue;
+    mask: number;
+    /** Modules per side, without margin. */
+    size: number;
+    /** size x size, true is dark, indexed as modules[y][x]. */
+    modules: boolean[][];
+}
+
+export declare class Html5QrcodeGenerator {
+    static readonly MIN_VERSION: 1;
+    static readonly MAX_VERSION: 40;
+    static readonly DEFAULTS: Readonly<Required<Pick<Html5QrcodeRenderOptions,
+        "errorCorrectionLevel" | "margin" | "scale" | "darkColor" | "lightColor">>>;
+    static encode(text: string, options?: Html5QrcodeEncodeOptions): Html5QrcodeMatrix;
+    static toCanvas(text: string, options?: Html5QrcodeRenderOptions): HTMLCanvasElement;
+    static toSvg(text: string, options?: Html5QrcodeRenderOptions): string;
+    static toDataUrl(text: string, options?: Html5QrcodeImageOptions): string;
+    static toFile(text: string, options?: Html5QrcodeImageOptions): Promise<File>;
+    static renderToElement(
+        elementOrId: string | HTMLElement,
+        text: string,
+        options?: Html5QrcodeRenderOptions & { output?: "canvas" | "svg" }): Element;
+}
+//#endregion
+
+//#region html5-qrcode-scanner.js
+export interface Html5QrcodeScannerConfig extends Html5QrcodeConfig, Html5QrcodeStartConfig {
+    showCameraSelection?: boolean;
+    showPermissionButton?: boolean;
+    showZoomSliderIfSupported?: boolean;
+    showFileScan?: boolean;
+    labels?: Partial<Record<string, string>>;
+    resultMode?: Html5QrcodeResultMode;
+}
+
+/** M is the resultMode of the configuration, "legacy" by default. */
+export declare class Html5QrcodeScanner<M extends Html5QrcodeResultMode = "legacy"> {
+    static readonly SCAN_TYPE_CAMERA: "camera";
+    static readonly SCAN_TYPE_FILE: "file";
+    static readonly DEFAULT_LABELS: Readonly<Record<string, string>>;
+    constructor(
+        elementId: string, configuration?: Html5QrcodeScannerConfig & { resultMode?: M });
+    render(
+        qrCodeSuccessCallback: Html5QrcodeSuccessCallback<M>,
+        qrCodeErrorCallback?: Html5QrcodeErrorCallback): void;
+    clear(): Promise<void>;
+}
+//#endregion
+
+//#region html5-qrcode-element.js
+export interface Html5QrcodeScannerElementEventMap extends HTMLElementEventMap {
+    "scan-success": CustomEvent<Html5QrcodeResult>;
+    "scan-error": CustomEvent<{ error: Html5QrcodeError }>;
+}
+
+/**
+ * <qr-scanner camera="environment" fps="10" qrbox="250" autostart>, with
+ * scan-success and scan-error events.
+ */
+export declare class Html5QrcodeScannerElement extends HTMLElement {
+    static readonly TAG_NAME: "qr-scanner";
+    static readonly DEFAULT_CAMERA: string;
+    static readonly SUCCESS_EVENT: "scan-success";
+    static readonly ERROR_EVENT: "scan-error";
+    static readonly observedAttributes: string[];
+    /** Html5Qrcode constructor configuration, set before the first start(). */
+    scannerConfig: Html5QrcodeConfig;
+    /** Extra Html5Qrcode#start() configuration, the attributes win. */
+    config: Html5QrcodeStartConfig;
+    /** The wrapped Html5Qrcode, null before the first start(). */
+    readonly scanner: Html5Qrcode<"structured"> | null;
+    start(): Promise<void>;
+    stop(): Promise<boolean>;
+    addEventListener<K extends keyof Html5QrcodeScannerElementEventMap>(
+        type: K,
+        listener: (this: Html5QrcodeScannerElement,
+            event: Html5QrcodeScannerElementEventMap[K]) => unknown,
+        options?: boolean | AddEventListenerOptions): void;
+    addEventListener(
+        type: string,
+        listener: EventListenerOrEventListenerObject,
+        options?: boolean | AddEventListenerOptions): void;
+    removeEventListener<K extends keyof Html5QrcodeScannerElementEventMap>(
+        type: K,
+        listener: (this: Html5QrcodeScannerElement,
+            event: Html5QrcodeScannerElementEventMap[K]) => unknown,
+        options?: boolean | EventListenerOptions): void;
+    removeEventListener(
+        type: string,
+        listener: EventListenerOrEventListenerObject,
+        options?: boolean | EventListenerOptions): void;
+}
+
+declare global {
+    interface HTMLElementTagNameMap {
+        "qr-scanner": Html5QrcodeScannerElement;
+    }
+}
+//#endregion
@@ -1,3 +1,1126 @@
+/**
+ * Barcode formats which can be passed as config.formatsToSupport.
+ */
+const Html5QrcodeSupportedFormats = Object.freeze({
+    QR_CODE: "QR_CODE",
+    AZTEC: "AZTEC",
+    CODABAR: "CODABAR",
+    CODE_39: "CODE_39",
+    CODE_93: "CODE_93",
+    CODE_128: "CODE_128",
+    DATA_MATRIX: "DATA_MATRIX",
+    ITF: "ITF",
+    EAN_13: "EAN_13",
+    EAN_8: "EAN_8",
+    PDF_417: "PDF_417",
+    UPC_A: "UPC_A",
+    UPC_E: "UPC_E"
+});
+
+/**
+ * States returned by Html5Qrcode#getState().
+ */
+const Html5QrcodeScannerState = Object.freeze({
+    NOT_STARTED: "NOT_STARTED",
+    // start() is waiting for the camera or video, only stop() is allowed.
+    STARTING: "STARTING",
+    SCANNING: "SCANNING",
+    PAUSED: "PAUSED"
+});
+
+/**
+ * Scan modes which can be passed as config.scanMode.
+ */
+const Html5QrcodeScanMode = Object.freeze({
+    // Scanning is paused after the first accepted result.
+    SINGLE: "SINGLE",
+    // Scanning goes on after each accepted result.
+    CONTINUOUS: "CONTINUOUS"
+});
+
+/**
+ * Camera permission states returned by Html5Qrcode.getCameraPermissionState().
+ */
+const Html5QrcodePermissionState = Object.freeze({
+    GRANTED: "granted",
+    DENIED: "denied",
+    // The user will be asked on the next camera access.
+    PROMPT: "prompt",
+    // The browser can't tell without asking, no Permissions API support.
+    UNKNOWN: "unknown"
+});
+
+/**
+ * Codes of Html5QrcodeError#code.
+ */
+const Html5QrcodeErrorCode = Object.freeze({
+    // The user or the browser denied camera access.
+    PERMISSION_DENIED: "PERMISSION_DENIED",
+    // No camera matches the requested one, or there is no camera at all.
+    NO_CAMERA: "NO_CAMERA",
+    // The camera couldn't be opened, usually because another app uses it.
+    CAMERA_IN_USE: "CAMERA_IN_USE",
+    // Camera access needs a secure context, https or localhost.
+    INSECURE_CONTEXT: "INSECURE_CONTEXT",
+    // A needed browser API is missing.
+    UNSUPPORTED_BROWSER: "UNSUPPORTED_BROWSER",
+    // An argument or config field is invalid.
+    INVALID_CONFIG: "INVALID_CONFIG",
+    // The method can't be called in the current scanner state.
+    INVALID_STATE: "INVALID_STATE",
+    // No code was found in the frame or image.
+    DECODE_MISS: "DECODE_MISS",
+    // The decoded text claims a format, like "WIFI:", but is malformed.
+    INVALID_PAYLOAD: "INVALID_PAYLOAD",
+    UNKNOWN: "UNKNOWN"
+});
+
+/**
+ * Error thrown, or passed to Promise rejections and error callbacks, by
+ * Html5Qrcode.
+ *
+ * message keeps the text of the string errors used before, and toString()
+ * returns it, so code which logs or concatenates errors keeps working.
+ */
+class Html5QrcodeError extends Error {
+    /**
+     * @param {String} code one of Html5QrcodeErrorCode.
+     * @param {String} message human readable description.
+     * @param {*} cause optional underlying error, like a DOMException.
+     */
+    constructor(code, message, cause) {
+        super(message);
+        this.name = "Html5QrcodeError";
+        this.code = code;
+        this.cause = cause;
+    }
+
+    toString() {
+        return this.message;
+    }
+
+    /**
+     * Wraps an error of getUserMedia() or enumerateDevices().
+     *
+     * @param {*} error DOMException, or legacy NavigatorUserMediaError.
+     * @param {String} message human readable description.
+     */
+    static fromMediaError(error, message) {
+        if (error instanceof Html5QrcodeError) {
+            return error;
+        }
+        let code;
+        switch (error && error.name) {
+            case "NotAllowedError":
+            case "PermissionDeniedError":
+                code = Html5QrcodeErrorCode.PERMISSION_DENIED;
+                break;
+            case "SecurityError":
+                code = window.isSecureContext === false
+                    ? Html5QrcodeErrorCode.INSECURE_CONTEXT
+                    : Html5QrcodeErrorCode.PERMISSION_DENIED;
+                break;
+            case "NotFoundError":
+            case "DevicesNotFoundError":
+            case "OverconstrainedError":
+            case "ConstraintNotSatisfiedError":
+                code = Html5QrcodeErrorCode.NO_CAMERA;
+                break;
+            case "NotReadableError":
+            case "TrackStartError":
+            case "AbortError":
+                code = Html5QrcodeErrorCode.CAMERA_IN_USE;
+                break;
+            default:
+                code = Html5QrcodeErrorCode.UNKNOWN;
+        }
+        return new Html5QrcodeError(code, message, error);
+    }
+
+    /**
+     * Wraps a decoder failure, decoders fail when no code is found.
+     */
+    static fromDecodeError(error) {
+        if (error instanceof Html5QrcodeError) {
+            return error;
+        }
+        return new Html5QrcodeError(Html5QrcodeErrorCode.DECODE_MISS,
+            `QR code parse error, error = ${error}`, error);
+    }
+}
+
+/**
+ * Decides which decoded results reach the success callback.
+ *
+ * Supports a cooldown between accepted results, a per value dedupe window
+ * and requiring the same value to be read in N consecutive frames.
+ */
+class Html5QrcodeResultFilter {
+    /**
+     * @param {Object} options
+     *      - cooldownMs: minimum time between two accepted results.
+     *      - dedupeWindowMs: time during which a value that was accepted is
+     *          not accepted again.
+     *      - requiredConsecutiveReads: number of consecutive frames that
+     *          should decode to the same value before it's accepted.
+     */
+    constructor(options) {
+        this._cooldownMs = options.cooldownMs;
+        this._dedupeWindowMs = options.dedupeWindowMs;
+        this._requiredConsecutiveReads = options.requiredConsecutiveReads;
+        this._lastAcceptedTime = null;
+        this._acceptedTimes = new Map();
+        this._candidateText = null;
+        this._candidateReads = 0;
+    }
+
+    /**
+     * Returns true if the decoded result should be passed on.
+     *
+     * @param {Object} result decoded result, with text and timestamp.
+     */
+    accept(result) {
+        if (result.text === this._candidateText) {
+            ++this._candidateReads;
+        } else {
+            this._candidateText = result.text;
+            this._candidateReads = 1;
+        }
+        if (this._candidateReads < this._requiredConsecutiveReads) {
+            return false;
+        }
+
+        const now = result.timestamp;
+        if (this._lastAcceptedTime !== null
+            && now - this._lastAcceptedTime < this._cooldownMs) {
+            return false;
+        }
+
+        this._pruneAcceptedTimes(now);
+        if (this._acceptedTimes.has(result.text)) {
+            return false;
+        }
+
+        this._lastAcceptedTime = now;
+        if (this._dedupeWindowMs > 0) {
+            this._acceptedTimes.set(result.text, now);
+        }
+        // Start counting afresh for the next confirmation.
+        this._candidateReads = 0;
+        return true;
+    }
+
+    /**
+     * Records a frame without any code, it breaks the consecutive reads.
+     */
+    miss() {
+        this._candidateText = null;
+        this._candidateReads = 0;
+    }
+
+    _pruneAcceptedTimes(now) {
+        for (const [text, acceptedTime] of this._acceptedTimes) {
+            if (now - acceptedTime >= this._dedupeWindowMs) {
+                this._acceptedTimes.delete(text);
+            }
+        }
+    }
+}
+
+/**
+ * Counts camera frames and decode timings for Html5Qrcode#getStats().
+ */
+class Html5QrcodeScanStats {
+    constructor() {
+        this.reset();
+    }
+
+    reset() {
+        this._framesScanned = 0;
+        this._framesDropped = 0;
+        this._successes = 0;
+        this._resultsReported = 0;
+        this._totalDecodeTimeMs = 0;
+        this._lastDecodeTimeMs = null;
+        this._maxDecodeTimeMs = 0;
+    }
+
+    /**
+     * Records a frame skipped because the previous one was still decoding.
+     */
+    recordDroppedFrame() {
+        ++this._framesDropped;
+    }
+
+    /**
+     * Records a decoded frame.
+     *
+     * @param {Number} decodeTimeMs time taken to decode the frame.
+     * @param {Boolean} isSuccess whether a code was found.
+     */
+    recordDecode(decodeTimeMs, isSuccess) {
+        ++this._framesScanned;
+        if (isSuccess) {
+            ++this._successes;
+        }
+        this._totalDecodeTimeMs += decodeTimeMs;
+        this._lastDecodeTimeMs = decodeTimeMs;
+        this._maxDecodeTimeMs = Math.max(this._maxDecodeTimeMs, decodeTimeMs);
+    }
+
+    /**
+     * Records a result passed to the success callback.
+     */
+    recordResultReported() {
+        ++this._resultsReported;
+    }
+
+    snapshot() {
+        const framesScanned = this._framesScanned;
+        return {
+            framesScanned: framesScanned,
+            framesDropped: this._framesDropped,
+            successes: this._successes,
+            misses: framesScanned - this._successes,
+            resultsReported: this._resultsReported,
+            successRate: framesScanned ? this._successes / framesScanned : 0,
+            averageDecodeTimeMs: framesScanned
+                ? this._totalDecodeTimeMs / framesScanned : 0,
+            lastDecodeTimeMs: this._lastDecodeTimeMs,
+            maxDecodeTimeMs: this._maxDecodeTimeMs
+        };
+    }
+}
+
+/**
+ * Decoder backed by the global lazarsoft/jsqrcode `qrcode` object, it only
+ * understands QR codes.
+ *
+ * A decoder is any object with a `name` and a `decodeAsync(canvas)` method
+ * returning a Promise which resolves with { text, format, cornerPoints } or
+ * fails if no code was found. cornerPoints is an optional list of { x, y }
+ * in canvas coordinates. Custom decoders (for example fakes in tests) can be passed to
+ * Html5Qrcode with { decoder: ... }.
+ */
+class Html5QrcodeJsQrcodeDecoder {
+    static NAME = "jsqrcode";
+
+    static isSupported() {
+        return typeof qrcode != "undefined";
+    }
+
+    constructor() {
+        this.name = Html5QrcodeJsQrcodeDecoder.NAME;
+    }
+
+    decodeAsync(canvas) {
+        return new Promise((resolve, reject) => {
+            try {
+                // Feeds the frame to jsqrcode directly instead of
+                // qrcode.decode(), which reads the canvas with id 'qr-canvas'
+                // and reports through the global qrcode.callback. Decoding is
+                // synchronous so scanners on the same page can't interleave.
+                const context = canvas.getContext("2d");
+                qrcode.width = canvas.width;
+                qrcode.height = canvas.height;
+                qrcode.imagedata = context.getImageData(
+                    0, 0, canvas.width, canvas.height);
+                resolve({
+                    text: qrcode.process(context),
+                    format: Html5QrcodeSupportedFormats.QR_CODE
+                });
+            } catch (exception) {
+                reject(exception);
+            }
+        });
+    }
+}
+
+/**
+ * Decoder backed by the native Shape Detection API (window.BarcodeDetector).
+ */
+class Html5QrcodeBarcodeDetectorDecoder {
+    static NAME = "BarcodeDetector";
+    // Html5QrcodeSupportedFormats to BarcodeDetector format names.
+    static FORMAT_MAP = Object.freeze({
+        QR_CODE: "qr_code",
+        AZTEC: "aztec",
+        CODABAR: "codabar",
+        CODE_39: "code_39",
+        CODE_93: "code_93",
+        CODE_128: "code_128",
+        DATA_MATRIX: "data_matrix",
+        ITF: "itf",
+        EAN_13: "ean_13",
+        EAN_8: "ean_8",
+        PDF_417: "pdf417",
+        UPC_A: "upc_a",
+        UPC_E: "upc_e"
+    });
+
+    static isSupported() {
+        return typeof window != "undefined" && "BarcodeDetector" in window;
+    }
+
+    /**
+     * @param {Array} formats list of Html5QrcodeSupportedFormats to detect.
+     */
+    constructor(formats) {
+        this.name = Html5QrcodeBarcodeDetectorDecoder.NAME;
+        this._detector = new BarcodeDetector({
+            formats: formats.map(
+                format => Html5QrcodeBarcodeDetectorDecoder.FORMAT_MAP[format])
+        });
+    }
+
+    decodeAsync(canvas) {
+        return this.decodeAllAsync(canvas).then(decodeResults => {
+            if (decodeResults.length == 0) {
+                throw "No barcode detected.";
+            }
+            return decodeResults[0];
+        });
+    }
+
+    /**
+     * Optional decoder method, resolves with every code on the canvas.
+     */
+    decodeAllAsync(canvas) {
+        return this._detector.detect(canvas).then(barcodes => {
+            return barcodes.map(barcode => ({
+                text: barcode.rawValue,
+                format: Html5QrcodeBarcodeDetectorDecoder._toSupportedFormat(
+                    barcode.format),
+                cornerPoints: barcode.cornerPoints
+            }));
+        });
+    }
+
+    static _toSupportedFormat(detectorFormat) {
+        const formatMap = Html5QrcodeBarcodeDetectorDecoder.FORMAT_MAP;
+        for (const format in formatMap) {
+            if (formatMap[format] == detectorFormat) {
+                return format;
+            }
+        }
+        return detectorFormat;
+    }
+}
+
+
+/**
+ * Decoder which decodes in a Web Worker running html5-qrcode-worker.js, so
+ * that decoding doesn't block the UI thread.
+ *
+ * Frames are transferred to the worker as ImageBitmap when the worker can
+ * read them, else as ImageData.
+ */
+class Html5QrcodeWorkerDecoder {
+    static NAME = "worker";
+
+    static isSupported() {
+        return typeof Worker != "undefined";
+    }
+
+    /**
+     * @param {Object} workerConfig
+     *      - url: URL of html5-qrcode-worker.js.
+     *      - scripts: URLs the worker loads with importScripts(), for example
+     *          the jsqrcode bundle, needed unless BarcodeDetector is used.
+     * @param {Object} options
+     *      - formats: list of Html5QrcodeSupportedFormats to decode.
+     *      - useBarCodeDetectorIfSupported: decode with BarcodeDetector in the
+     *          worker when the browser supports it there.
+     */
+    constructor(workerConfig, options) {
+        if (!workerConfig || !workerConfig.url) {
+            throw new Html5QrcodeError(Html5QrcodeErrorCode.INVALID_CONFIG,
+                "'config.worker.url' is required to decode in a worker.");
+        }
+
+        this.name = Html5QrcodeWorkerDecoder.NAME;
+        this._worker = new Worker(workerConfig.url);
+        this._nextRequestId = 0;
+        this._pendingRequests = new Map();
+        this._acceptsImageBitmap = false;
+        this._ready = new Promise((resolve, reject) => {
+            this._onReady = resolve;
+            this._onInitError = reject;
+        });
+        // Avoids unhandled rejections when no frame is ever decoded.
+        this._ready.catch(() => {});
+
+        this._worker.onmessage = event => this._onMessage(event.data);
+        this._worker.onerror = event => {
+            this._failAll(`Worker error, error = ${event.message}`);
+        };
+        this._worker.postMessage({
+            type: "init",
+            scripts: workerConfig.scripts ? workerConfig.scripts : [],
+            formats: options.formats.map(
+                format => Html5QrcodeBarcodeDetectorDecoder.FORMAT_MAP[format]),
+            useBarcodeDetector: options.useBarCodeDetectorIfSupported === true
+        });
+    }
+
+    decodeAsync(canvas) {
+        return this._ready
+            .then(() => this._createTransferable(canvas))
+            .then(image => new Promise((resolve, reject) => {
+                const id = this._nextRequestId++;
+                this._pendingRequests.set(id, { resolve, reject });
+                const transfer = image instanceof ImageData ? image.data.buffer : image;
+                this._worker.postMessage(
+                    { type: "decode", id: id, image: image }, [transfer]);
+            }))
+            .then(decodeResult => ({
+                text: decodeResult.text,
+                format: Html5QrcodeBarcodeDetectorDecoder._toSupportedFormat(
+                    decodeResult.format),
+                cornerPoints: decodeResult.cornerPoints
+            }));
+    }
+
+    /**
+     * Stops the worker, pending decodes fail.
+     */
+    terminate() {
+        this._worker.terminate();
+        this._failAll("Worker terminated.");
+    }
+
+    _createTransferable(canvas) {
+        if (this._acceptsImageBitmap && typeof createImageBitmap == "function") {
+            return createImageBitmap(canvas);
+        }
+        const context = canvas.getContext("2d");
+        return context.getImageData(0, 0, canvas.width, canvas.height);
+    }
+
+    _onMessage(message) {
+        switch (message.type) {
+            case "ready":
+                this.name = `${Html5QrcodeWorkerDecoder.NAME}:${message.decoder}`;
+                this._acceptsImageBitmap = message.acceptsImageBitmap;
+                this._onReady();
+                break;
+            case "initError":
+                this._failAll(message.error);
+                break;
+            case "result":
+                const request = this._pendingRequests.get(message.id);
+                if (!request) {
+                    return;
+                }
+                this._pendingRequests.delete(message.id);
+                if (message.error !== undefined) {
+                    request.reject(message.error);
+                } else {
+                    request.resolve(message.result);
+                }
+                break;
+            default:
+                Html5Qrcode._log(`Unknown worker message type ${message.type}.`);
+        }
+    }
+
+    _failAll(error) {
+        this._onInitError(error);
+        for (const request of this._pendingRequests.values()) {
+            request.reject(error);
+        }
+        this._pendingRequests.clear();
+    }
+}
+
+/**
+ * Runs a list of filters on the ImageData of a frame before it's decoded.
+ *
+ * Filters work on any object of type { data, width, height } where data is
+ * RGBA bytes, so they can be run on ImageData fixtures without a canvas.
+ * A filter is a function(imageData, options) which changes imageData in
+ * place, or returns a new one.
+ */
+class Html5QrcodeFrameProcessor {
+    static FLIP_HORIZONTAL = "flipHorizontal";
+    static BUILT_IN_FILTERS = Object.freeze({
+        grayscale: (imageData, options) =>
+            Html5QrcodeFrameProcessor.grayscale(imageData, options),
+        contrastStretch: (imageData, options) =>
+            Html5QrcodeFrameProcessor.contrastStretch(imageData, options),
+        adaptiveThreshold: (imageData, options) =>
+            Html5QrcodeFrameProcessor.adaptiveThreshold(imageData, options),
+        invert: (imageData, options) =>
+            Html5QrcodeFrameProcessor.invert(imageData, options),
+        flipHorizontal: (imageData, options) =>
+            Html5QrcodeFrameProcessor.flipHorizontal(imageData, options)
+    });
+    static _customFilters = new Map();
+
+    /**
+     * Registers a custom filter which can then be referenced by name in
+     * config.preprocessing.
+     *
+     * @param {String} name name of the filter.
+     * @param {Function} filter function(imageData, options).
+     */
+    static registerFilter(name, filter) {
+        if (!name || typeof name != "string") {
+            throw new Html5QrcodeError(Html5QrcodeErrorCode.INVALID_CONFIG,
+                "Filter name is required and should be a string.");
+        }
+        if (typeof filter != "function") {
+            throw new Html5QrcodeError(Html5QrcodeErrorCode.INVALID_CONFIG,
+                "filter is required and should be a function.");
+        }
+        if (name in Html5QrcodeFrameProcessor.BUILT_IN_FILTERS) {
+            throw new Html5QrcodeError(Html5QrcodeErrorCode.INVALID_CONFIG,
+                `Cannot replace the built-in filter '${name}'.`);
+        }
+        Html5QrcodeFrameProcessor._customFilters.set(name, filter);
+    }
+
+    /**
+     * @param {Array} steps list of filters to run in order, each one of:
+     *      - name of a built-in or registered filter, for example "invert".
+     *      - { name, options }, for example
+     *          { name: "adaptiveThreshold", options: { windowSize: 31 } }.
+     *      - a filter function.
+     */
+    constructor(steps) {
+        if (!Array.isArray(steps)) {
+            throw new Html5QrcodeError(Html5QrcodeErrorCode.INVALID_CONFIG,
+                "'config.preprocessing' should be an array.");
+        }
+
+        this._steps = steps.map(step => Html5QrcodeFrameProcessor._resolveStep(step));
+        const flipCount = this._steps.filter(
+            step => step.name == Html5QrcodeFrameProcessor.FLIP_HORIZONTAL).length;
+        this._isMirroring = flipCount % 2 == 1;
+    }
+
+    /**
+     * Runs all the filters on the frame.
+     *
+     * @param {ImageData} imageData frame to process.
+     *
+     * @returns {ImageData} the processed frame.
+     */
+    process(imageData) {
+        let processed = imageData;
+        for (const step of this._steps) {
+            const output = step.filter(processed, step.options);
+            if (output) {
+                processed = output;
+            }
+        }
+        return processed;
+    }
+
+    isEmpty() {
+        return this._steps.length == 0;
+    }
+
+    /**
+     * Returns true if the processed frame is mirrored, so that positions
+     * found on it can be mapped back to the original frame.
+     */
+    isMirroring() {
+        return this._isMirroring;
+    }
+
+    /**
+     * Converts to grayscale using the Rec. 601 luma weights.
+     */
+    static grayscale(imageData) {
+        const data = imageData.data;
+        for (let i = 0; i < data.length; i += 4) {
+            const luma = Html5QrcodeFrameProcessor._luma(data, i);
+            data[i] = luma;
+            data[i + 1] = luma;
+            data[i + 2] = luma;
+        }
+        return imageData;
+    }
+
+    /**
+     * Stretches the luma range to 0-255, helps with washed out frames and
+     * glare. Also converts to grayscale.
+     *
+     * @param options
+     *      - clipFraction: fraction of darkest and brightest pixels ignored
+     *          when finding the range, default 0.01.
+     */
+    static contrastStretch(imageData, options) {
+        const clipFraction = options && options.clipFraction !== undefined
+            ? options.clipFraction : 0.01;
+        const data = imageData.data;
+        const pixelCount = data.length / 4;
+        const histogram = new Uint32Array(256);
+        const lumas = new Uint8ClampedArray(pixelCount);
+        for (let i = 0, pixel = 0; i < data.length; i += 4, ++pixel) {
+            lumas[pixel] = Html5QrcodeFrameProcessor._luma(data, i);
+            ++histogram[lumas[pixel]];
+        }
+
+        const clipCount = pixelCount * clipFraction;
+        let low = 0;
+        for (let seen = histogram[0]; low < 255 && seen <= clipCount;) {
+            seen += histogram[++low];
+        }
+        let high = 255;
+        for (let seen = histogram[255]; high > 0 && seen <= clipCount;) {
+            seen += histogram[--high];
+        }
+        const range = high > low ? high - low : 1;
+
+        for (let i = 0, pixel = 0; i < data.length; i += 4, ++pixel) {
+            const value = (lumas[pixel] - low) * 255 / range;
+            data[i] = value;
+            data[i + 1] = value;
+            data[i + 2] = value;
+        }
+        return imageData;
+    }
+
+    /**
+     * Binarizes each pixel against the mean luma of its neighbourhood, which
+     * copes with uneven lighting better than a global threshold.
+     *
+     * @param options
+     *      - windowSize: side of the neighbourhood in pixels, default 1/8th
+     *          of the frame width.
+     *      - offset: fraction below the local mean that is still white,
+     *          default 0.15.
+     */
+    static adaptiveThreshold(imageData, options) {
+        const width = imageData.width;
+        const height = imageData.height;
+        const windowSize = options && options.windowSize
+            ? options.windowSize : Math.max(3, Math.floor(width / 8));
+        const offset = options && options.offset !== undefined
+            ? options.offset : 0.15;
+        const data = imageData.data;
+
+        // Integral image of luma, with an extra leading row and column.
+        const integralWidth = width + 1;
+        const integral = new Float64Array(integralWidth * (height + 1));
+        const lumas = new Uint8ClampedArray(width * height);
+        for (let y = 0; y < height; ++y) {
+            let rowSum = 0;
+            for (let x = 0; x < width; ++x) {
+                const luma = Html5QrcodeFrameProcessor._luma(data, (y * width + x) * 4);
+                lumas[y * width + x] = luma;
+                rowSum += luma;
+                integral[(y + 1) * integralWidth + x + 1]
+                    = integral[y * integralWidth + x + 1] + rowSum;
+            }
+        }
+
+        const halfWindow = Math.floor(windowSize / 2);
+        for (let y = 0; y < height; ++y) {
+            const top = Math.max(0, y - halfWindow);
+            const bottom = Math.min(height, y + halfWindow + 1);
+            for (let x = 0; x < width; ++x) {
+                const left = Math.max(0, x - halfWindow);
+                const right = Math.min(width, x + halfWindow + 1);
+                const count = (right - left) * (bottom - top);
+                const sum = integral[bottom * integralWidth + right]
+                    - integral[top * integralWidth + right]
+                    - integral[bottom * integralWidth + left]
+                    + integral[top * integralWidth + left];
+                const value = lumas[y * width + x] * count < sum * (1 - offset)
+                    ? 0 : 255;
+                const i = (y * width + x) * 4;
+                data[i] = value;
+                data[i + 1] = value;
+                data[i + 2] = value;
+            }
+        }
+        return imageData;
+    }
+
+    /**
+     * Inverts colours, for light codes on dark backgrounds.
+     */
+    static invert(imageData) {
+        const data = imageData.data;
+        for (let i = 0; i < data.length; i += 4) {
+            data[i] = 255 - data[i];
+            data[i + 1] = 255 - data[i + 1];
+            data[i + 2] = 255 - data[i + 2];
+        }
+        return imageData;
+    }
+
+    /**
+     * Mirrors the frame horizontally, for mirrored front cameras.
+     */
+    static flipHorizontal(imageData) {
+        const width = imageData.width;
+        const data = imageData.data;
+        for (let y = 0; y < imageData.height; ++y) {
+            for (let x = 0; x < width / 2; ++x) {
+                const left = (y * width + x) * 4;
+                const right = (y * width + width - 1 - x) * 4;
+                for (let channel = 0; channel < 4; ++channel) {
+                    const value = data[left + channel];
+                    data[left + channel] = data[right + channel];
+                    data[right + channel] = value;
+                }
+            }
+        }
+        return imageData;
+    }
+
+    static _resolveStep(step) {
+        if (typeof step == "function") {
+            return { name: step.name, filter: step, options: undefined };
+        }
+
+        const name = typeof step == "string" ? step : step && step.name;
+        const filter = Html5QrcodeFrameProcessor.BUILT_IN_FILTERS[name]
+            || Html5QrcodeFrameProcessor._customFilters.get(name);
+        if (!filter) {
+            throw new Html5QrcodeError(Html5QrcodeErrorCode.INVALID_CONFIG,
+                `Unknown preprocessing filter '${name}', register it with `
+                    + "Html5QrcodeFrameProcessor.registerFilter().");
+        }
+        return {
+            name: name,
+            filter: filter,
+            options: typeof step == "string" ? undefined : step.options
+        };
+    }
+
+    static _luma(data, i) {
+        return 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
+    }
+}
+
+/**
+ * Visual and haptic scan feedback drawn over the viewfinder: shading around
+ * the scan box, corner brackets, a scanning line, the outline of the
+ * detected code and a success flash.
+ */
+class Html5QrcodeOverlay {
+    static CLASSNAME = "qr-overlay";
+    static DEFAULTS = Object.freeze({
+        shadingColor: "#000000",
+        shadingOpacity: 0.48,
+        cornerBrackets: Object.freeze({ color: "#ffffff", length: 24, thickness: 4 }),
+        scanLine: Object.freeze({ color: "#ff0000", thickness: 2, durationMs: 2000 }),
+        outline: Object.freeze({ color: "#00ff00", thickness: 4, durationMs: 500 }),
+        successFlash: Object.freeze({ color: "#ffffff", opacity: 0.6, durationMs: 300 }),
+        vibrationPattern: 200,
+        beep: Object.freeze({ frequency: 880, durationMs: 100 })
+    });
+
+    /**
+     * @param {Object} config overlay configuration.
+     *  Supported Fields:
+     *      - shadingColor: CSS colour of the shading, defaults to black.
+     *      - shadingOpacity: opacity of the shading between 0 and 1,
+     *          defaults to 0.48.
+     *      - cornerBrackets: { color, length, thickness } brackets drawn on
+     *          the corners of the scan box, false to hide them. Shown by
+     *          default.
+     *      - scanLine: { color, thickness, durationMs } line sweeping over
+     *          the scan box, hidden by default, true for the defaults.
+     *      - outline: { color, thickness, durationMs } outline of the
+     *          detected code, drawn from its corner points. Shown by default,
+     *          false to hide it.
+     *      - successFlash: { color, opacity, durationMs } flash of the scan
+     *          box on each accepted read. Shown by default, false to hide it.
+     *      - sound: true for a short beep or the URL of an audio file played
+     *          on each accepted read, off by default.
+     *      - vibrate: true, or a navigator.vibrate() pattern, vibrates on each
+     *          accepted read where supported, off by default.
+     */
+    constructor(config) {
+        config = config ? config : {};
+        const defaults = Html5QrcodeOverlay.DEFAULTS;
+        this._shadingColor = config.shadingColor
+            ? config.shadingColor : defaults.shadingColor;
+        this._shadingOpacity = config.shadingOpacity !== undefined
+            ? config.shadingOpacity : defaults.shadingOpacity;
+        if (typeof this._shadingOpacity != "number"
+            || this._shadingOpacity < 0 || this._shadingOpacity > 1) {
+            throw new Html5QrcodeError(Html5QrcodeErrorCode.INVALID_CONFIG,
+                "'config.overlay.shadingOpacity' should be a number between 0 and 1.");
+        }
+        this._cornerBrackets = Html5QrcodeOverlay._getOption(
+            config.cornerBrackets, defaults.cornerBrackets, /* enabledByDefault= */ true);
+        this._scanLine = Html5QrcodeOverlay._getOption(
+            config.scanLine, defaults.scanLine, /* enabledByDefault= */ false);
+        this._outline = Html5QrcodeOverlay._getOption(
+            config.outline, defaults.outline, /* enabledByDefault= */ true);
+        this._successFlash = Html5QrcodeOverlay._getOption(
+            config.successFlash, defaults.successFlash, /* enabledByDefault= */ true);
+        this._sound = config.sound ? config.sound : null;
+        this._vibrationPattern = config.vibrate === true
+            ? defaults.vibrationPattern : (config.vibrate ? config.vibrate : null);
+
+        this._rootElement = null;
+        this._boxElement = null;
+        this._flashElement = null;
+        this._scanLineElement = null;
+        this._scanLineAnimation = null;
+        this._outlineCanvas = null;
+        this._outlineTimeout = null;
+        this._audioContext = null;
+    }
+
+    /**
+     * Styles a shading element with the configured colour and opacity.
+     */
+    applyShadingStyle(elem) {
+        elem.style.background = this._shadingColor;
+        elem.style.opacity = `${this._shadingOpacity}`;
+    }
+
+    /**
+     * Inserts the overlay in the element, on top of the viewfinder.
+     *
+     * @param {HTMLElement} element container of the viewfinder.
+     * @param {Number} width width of the viewfinder.
+     * @param {Number} height height of the viewfinder.
+     * @param {Object} qrRegion scan box as { x, y, width, height }.
+     * @param {Boolean} showScanBox whether brackets and scan line are drawn,
+     *  false when the whole viewfinder is scanned.
+     */
+    attach(element, width, height, qrRegion, showScanBox) {
+        this.detach();
+
+        const root = document.createElement("div");
+        root.className = Html5QrcodeOverlay.CLASSNAME;
+        root.style.position = "absolute";
+        root.style.top = "0px";
+        root.style.left = "0px";
+        root.style.pointerEvents = "none";
+
+        const box = document.createElement("div");
+        box.style.position = "absolute";
+        root.append(box);
+
+        if (showScanBox && this._cornerBrackets) {
+            for (const corner of ["top-left", "top-right", "bottom-left", "bottom-right"]) {
+                box.append(this._createCornerBracket(corner));
+            }
+        }
+        if (showScanBox && this._scanLine) {
+            box.append(this._createScanLine());
+        }
+        if (this._successFlash) {
+            this._flashElement = document.createElement("div");
+            this._flashElement.style.position = "absolute";
+            this._flashElement.style.inset = "0px";
+            this._flashElement.style.background = this._successFlash.color;
+            this._flashElement.style.opacity = "0";
+            box.append(this._flashElement);
+        }
+        if (this._outline) {
+            this._outlineCanvas = document.createElement("canvas");
+            this._outlineCanvas.style.position = "absolute";
+            this._outlineCanvas.style.top = "0px";
+            this._outlineCanvas.style.left = "0px";
+            root.append(this._outlineCanvas);
+        }
+
+        this._rootElement = root;
+        this._boxElement = box;
+        this.layout(width, height, qrRegion);
+        element.append(root);
+    }
+
+    /**
+     * Moves the overlay after the viewfinder was resized.
+     */
+    layout(width, height, qrRegion) {
+        if (!this._rootElement) {
+            return;
+        }
+        this._rootElement.style.width = `${width}px`;
+        this._rootElement.style.height = `${height}px`;
+        this._boxElement.style.left = `${qrRegion.x}px`;
+        this._boxElement.style.top = `${qrRegion.y}px`;
+        this._boxElement.style.width = `${qrRegion.width}px`;
+        this._boxElement.style.height = `${qrRegion.height}px`;
+        if (this._scanLineElement) {
+            if (this._scanLineAnimation) {
+                this._scanLineAnimation.cancel();
+            }
+            this._scanLineAnimation = this._animateScanLine(qrRegion.height);
+        }
+        if (this._outlineCanvas) {
+            this._outlineCanvas.width = width;
+            this._outlineCanvas.height = height;
+        }
+    }
+
+    /**
+     * Removes the overlay from the page.
+     */
+    detach() {
+        clearTimeout(this._outlineTimeout);
+        this._outlineTimeout = null;
+        if (this._scanLineAnimation) {
+            this._scanLineAnimation.cancel();
+            this._scanLineAnimation = null;
+        }
+        if (this._rootElement && this._rootElement.parentElement) {
+            this._rootElement.parentElement.removeChild(this._rootElement);
+        }
+        this._rootElement = null;
+        this._boxElement = null;
+        this._flashElement = null;
+        this._scanLineElement = null;
+        this._outlineCanvas = null;
+    }
+
+    /**
+     * Gives feedback for an accepted read.
+     *
+     * @param {Object} result result object, see Html5Qrcode.start().
+     * @param {Function} toViewfinderPoint maps a result corner point to
+     *  viewfinder coordinates.
+     */
+    onResult(result, toViewfinderPoint) {
+        if (result.cornerPoints && this._outlineCanvas) {
+            this._drawOutline(result.cornerPoints.map(toViewfinderPoint));
+        }
+        if (this._flashElement && typeof this._flashElement.animate == "function") {
+            this._flashElement.animate(
+                [{ opacity: this._successFlash.opacity }, { opacity: 0 }],
+                { duration: this._successFlash.durationMs, easing: "ease-out" });
+        }
+        if (this._sound) {
+            this._playSound();
+        }
+        if (this._vibrationPattern && typeof navigator.vibrate == "function") {
+            navigator.vibrate(this._vibrationPattern);
+        }
+    }
+
+    _createCornerBracket(corner) {
+        const options = this._cornerBrackets;
+        const border = `${options.thickness}px solid ${options.color}`;
+        const [vertical, horizontal] = corner.split("-");
+        const elem = document.createElement("div");
+        elem.style.position = "absolute";
+        elem.style.width = `${options.length}px`;
+        elem.style.height = `${options.length}px`;
+        // Drawn just outside the box so that the scanned area isn't covered.
+        elem.style.setProperty(vertical, `-${options.thickness}px`);
+        elem.style.setProperty(horizontal, `-${options.thickness}px`);
+        elem.style.setProperty(`border-${vertical}`, border);
+        elem.style.setProperty(`border-${horizontal}`, border);
+        return elem;
+    }
+
+    _createScanLine() {
+        const options = this._scanLine;
+        const elem = document.createElement("div");
+        elem.style.position = "absolute";
+        elem.style.top = "0px";
+        elem.style.left = "0px";
+        elem.style.width = "100%";
+        elem.style.height = `${options.thickness}px`;
+        elem.style.background = options.color;
+        // Animated by layout() once the box height is known.
+        this._scanLineElement = elem;
+        return elem;
+    }
+
+    _animateScanLine(boxHeight) {
+        const elem = this._scanLineElement;
+        if (typeof elem.animate != "function") {
+            return null;
+        }
+        const distance = Math.max(0, boxHeight - this._scanLine.thickness);
+        return elem.animate(
+            [
+                { transform: "translateY(0px)" },
+                { transform: `translateY(${distance}px)` }
+            ],
+            {
+                duration: this._scanLine.durationMs,
+                direction: "alternate",
+                iterations: Infinity,
+                easing: "ease-in-out"
+            });
+    }
+
+    _drawOutline(points) {
+        const options = this._outline;
+        const context = this._outlineCanvas.getContext("2d");
+        context.clearRect(0, 0, this._outlineCanvas.width, this._outlineCanvas.height);
+        if (points.length < 2) {
+            return;
+        }
+        context.strokeStyle = options.color;
+        context.lineWidth = options.thickness;
+        context.lineJoin = "round";
+        context.beginPath();
+        context.moveTo(points[0].x, points[0].y);
+        for (let i = 1; i < points.length; ++i) {
+            context.lineTo(points[i].x, points[i].y);
+        }
+        context.closePath();
+        context.stroke();
+
+        clearTimeout(this._outlineTimeout);
+        this._outlineTimeout = setTimeout(() => {
+            this._outlineTimeout = null;
+            context.clearRect(0, 0, this._outlineCanvas.width, this._outlineCanvas.height);
+        }, options.durationMs);
+    }
+
+    _playSound() {
+        try {
+            if (typeof this._sound == "string") {
+                // play() rejects if the page isn't allowed to play audio yet.
+                new Audio(this._sound).play().catch(error => {
+                    Html5Qrcode._log(`Unable to play scan sound, error = ${error}`);
+                });
+                return;
+            }
+
+            const AudioContext = window.AudioContext || window.webkitAudioContext;
+            if (!AudioContext) {
+                return;
+            }
+            if (!this._audioContext) {
+                this._audioContext = new AudioContext();
+            }
+            const beep = Html5QrcodeOverlay.DEFAULTS.beep;
+            const context = this._audioContext;
+            const oscillator = context.createOscillator();
+            oscillator.frequency.value = beep.frequency;
+            oscillator.connect(context.destination);
+            oscillator.start();
+            oscillator.stop(context.currentTime + beep.durationMs / 1000);
+        } catch (error) {
+            Html5Qrcode._log(`Unable to play scan sound, error = ${error}`);
+        }
+    }
+
+    // Resolves a feature option: false disables it, true or undefined use
+    // the defaults depending on enabledByDefault, objects override them.
+    static _getOption(option, defaults, enabledByDefault) {
+        if (option === false || (option === undefined && !enabledByDefault)) {
+            return null;
+        }
+        if (option === true || option === undefined) {
+            return defaults;
+        }
+        if (typeof option != "object") {
+            throw new Html5QrcodeError(Html5QrcodeErrorCode.INVALID_CONFIG,
+                "Overlay options should be a boolean or an object.");
+        }
+        return Object.assign({}, defaults, option);
+    }
+}
 
 class Html5Qrcode {
     static DEFAULT_WIDTH = 300;
@@ -10,38 +1133,150 @@ class Html5Qrcode {
     static SHADED_BOTTOM = 4;
     static SHADED_REGION_CLASSNAME = "qr-shaded-region";
     static VERBOSE = false;
+    // Passes tried by scanFile() / scanImage() with { exhaustive: true }.
+    static EXHAUSTIVE_SCAN_DEFAULTS = Object.freeze({
+        // Whole image scaled by these factors.
+        scales: [1, 0.5, 0.25],
+        // Overlapping n x n tiles of the full resolution image.
+        tileGrids: [2, 3],
+        // Whole image rotated by these degrees.
+        rotations: [90, 45],
+        // Scales and tiles again with inverted colours, for light on dark codes.
+        tryInverted: true,
+        // Larger decode canvases are scaled down to this size.
+        maxDimension: 1600
+    });
+    static LAST_USED_CAMERA_STORAGE_KEY = "html5-qrcode-last-used-camera-id";
+    static FACING_MODES = ["user", "environment", "left", "right"];
+    // Success callback gets (decodedText, result), scanFile() resolves with
+    // the decoded text.
+    static RESULT_MODE_LEGACY = "legacy";
+    // Success callback gets (result), scanFile() resolves with the result.
+    static RESULT_MODE_STRUCTURED = "structured";
+    // Constraints which are only honoured if the running track reports them
+    // in its capabilities (Image Capture extensions to MediaStreamTrack).
+    static CAPABILITY_CONSTRAINTS = [
+        "zoom",
+        "focusMode",
+        "focusDistance",
+        "exposureMode",
+        "exposureCompensation",
+        "exposureTime",
+        "torch"
+    ];
 
     /**
      * Initialize QR Code scanner.
+     *
+     * Instances don't share state, several scanners can run on the same page
+     * each in its own element.
      * 
      * @param {String} elementId - Id of the HTML element. 
+     * @param {Object} configuration optional instance wide configurations.
+     *  Supported Fields:
+     *      - experimentalFeatures: { useBarCodeDetectorIfSupported: true }
+     *          decodes with window.BarcodeDetector when the browser has it,
+     *          jsqrcode is used otherwise. Without the jsqrcode global
+     *          `qrcode` BarcodeDetector is always used.
+     *      - formatsToSupport: list of Html5QrcodeSupportedFormats to decode,
+     *          defaults to [Html5QrcodeSupportedFormats.QR_CODE]. Formats
+     *          other than QR_CODE need window.BarcodeDetector.
+     *      - decoder: custom decoder object, see Html5QrcodeJsQrcodeDecoder.
+     *          Takes precedence over experimentalFeatures and
+     *          formatsToSupport.
+     *      - worker: { url, scripts } decodes in a Web Worker instead of the
+     *          UI thread, see Html5QrcodeWorkerDecoder. Example:
+     *          { url: "html5-qrcode-worker.js", scripts: ["jsqrcode.js"] }
+     *      - resultMode: Html5Qrcode.RESULT_MODE_LEGACY (default) or
+     *          Html5Qrcode.RESULT_MODE_STRUCTURED, see start().
+     *      - preprocessing: filters run on each frame or image before it's
+     *          decoded, see Html5QrcodeFrameProcessor. Example:
+     *          ["contrastStretch", { name: "adaptiveThreshold" }]
+     *      - parsePayload: if true the decoded text is parsed into a typed
+     *          payload, returned as result.payload. Needs
+     *          html5-qrcode-payload.js, see Html5QrcodePayloadParser.
+     *      - history: Html5QrcodeScanHistory, from html5-qrcode-history.js,
+     *          which records every accepted camera scan and every image scan.
      */
-    constructor(elementId) {
-        if (!qrcode) {
-          throw 'qrcode is not defined, use the minified/html5-qrcode.min.js for proper support';
+    constructor(elementId, configuration) {
+        const config = configuration ? configuration : {};
+        if (config.history && typeof config.history.record != "function") {
+            throw new Html5QrcodeError(Html5QrcodeErrorCode.INVALID_CONFIG,
+                "'config.history' should be an Html5QrcodeScanHistory.");
+        }
+        if (!config.decoder && !Html5QrcodeJsQrcodeDecoder.isSupported()
+            && !Html5QrcodeBarcodeDetectorDecoder.isSupported()) {
+          throw new Html5QrcodeError(Html5QrcodeErrorCode.UNSUPPORTED_BROWSER,
+              'qrcode is not defined, use the minified/html5-qrcode.min.js for proper support');
         }
 
         this._elementId = elementId;
+        this._config = config;
+        this._resultMode = Html5Qrcode._getResultMode(config.resultMode);
+        this._decoder = null;
+        this._frameProcessor = null;
+        this._parsePayload = this._getParsePayload(config.parsePayload);
         this._foreverScanTimeout = null;
         this._localMediaStream = null;
         this._shouldScan = true;
         this._url = window.URL || window.webkitURL || window.mozURL || window.msURL;
         this._userMedia = navigator.getUserMedia || navigator.webkitGetUserMedia 
             || navigator.mozGetUserMedia || navigator.msGetUserMedia;
-        this._isScanning = false;
+        this._state = Html5QrcodeScannerState.NOT_STARTED;
+        this._lastScanImageUrl = null;
+        this._pasteAndDropListeners = null;
+        this._foreverScan = null;
+        this._videoFrameCallbackId = null;
+        this._isTorchOn = false;
+        this._onViewfinderResize = null;
+        this._resizeObserver = null;
+        this._pendingResizeFrame = null;
+        this._overlay = null;
+        this._stats = new Html5QrcodeScanStats();
+        // Incremented by start() and stop(), a start() waiting for the camera
+        // gives up once it changes.
+        this._startId = 0;
+        this._cancelPendingStart = null;
+        // Promise of the stop() in progress, it waits for the torch.
+        this._pendingStop = null;
+        // Where the frames of the running scan come from, see
+        // _createVideoSource().
+        this._videoSource = null;
     }
 
     /**
-     * Start scanning QR Code for given camera.
+     * Start scanning QR Code for given camera or video.
      * 
-     * @param {String} cameraId Id of the camera to use.
+     * @param {String|Object} cameraIdOrConfig Id of the camera to use, or an
+     *  object with exactly one of these keys:
+     *      - facingMode: "user", "environment" or { exact: "environment" }
+     *      - deviceId: camera id or { exact: cameraId }
+     *      - mediaStream: MediaStream to scan, for example a screen share from
+     *          getDisplayMedia() or a canvas captureStream(). Its tracks are
+     *          not stopped by stop().
+     *      - videoElement: HTMLVideoElement to scan where it is, it should
+     *          not be inside the element of this scanner. Scanning starts
+     *          once it plays, the qrbox is applied to its displayed size but
+     *          shading and overlay aren't drawn.
+     *      - videoFile: File or Blob with a recorded video.
+     *      - videoUrl: same origin or CORS enabled URL of a video.
+     *  Example: { facingMode: "environment" }
+     *  Example: { videoFile: event.target.files[0] }
      * @param {Object} config extra configurations to tune QR code scanner.
      *  Supported Fields:
      *      - fps: expected framerate of qr code scanning. example { fps: 2 }
      *          means the scanning would be done every 500 ms.
-     *      - qrbox: width of QR scanning box, this should be smaller than
-     *          the width and height of the box. This would make the scanner
-     *          look like this:
+     *      - qrbox: size of QR scanning box, this should be smaller than
+     *          the width and height of the box. Supported values:
+     *              - number, width and height of a square box.
+     *              - { width, height } for a rectangular box, for example
+     *                  for wide 1D barcodes.
+     *              - function(viewfinderWidth, viewfinderHeight) returning
+     *                  { width, height }, re-evaluated when the viewfinder
+     *                  is resized.
+     *          The scanning region and shading follow size and orientation
+     *          changes of the element without restarting the camera.
+     *          This would make the scanner look like this:
      *          ----------------------
      *          |********************|
      *          |******,,,,,,,,,*****|      <--- shaded region
@@ -51,26 +1286,103 @@ class Html5Qrcode {
      *          |********************|
      *          |********************|
      *          ----------------------
+     *      - videoConstraints: extra MediaTrackConstraints to merge into the
+     *          video constraints passed to getUserMedia, for example
+     *          { zoom: 2 }. The deviceId and facingMode are always derived
+     *          from cameraIdOrConfig. Ignored for videos and media streams.
+     *      - loop: if true a videoFile or videoUrl is played in a loop, else
+     *          its last frame stays in the viewfinder once it ends.
+     *      - experimentalFeatures: overrides the experimentalFeatures passed
+     *          to the constructor for this scan.
+     *      - formatsToSupport: overrides the formatsToSupport passed to the
+     *          constructor for this scan.
+     *      - aspectRatio: ideal aspect ratio (width / height) of the camera
+     *          stream, for example 1.0 or 1.777778.
+     *      - resolution: ideal resolution of the camera stream, of type
+     *          { width, height }, for example { width: 1280, height: 720 }.
+     *      - frameRate: ideal frame rate of the camera stream.
+     *          aspectRatio, resolution and frameRate are hints, if the camera
+     *          can't satisfy them it's opened with the closest settings.
+     *      - preprocessing: overrides the preprocessing passed to the
+     *          constructor for this scan.
+     *      - parsePayload: overrides the parsePayload passed to the
+     *          constructor for this scan.
+     *      - useVideoFrameCallback: frames are scheduled with
+     *          requestVideoFrameCallback where the browser supports it, set
+     *          to false to always use a timer. Either way a frame is dropped
+     *          if the previous one is still being decoded.
+     *      - scanMode: Html5QrcodeScanMode.CONTINUOUS (default) keeps
+     *          scanning after each result, Html5QrcodeScanMode.SINGLE pauses
+     *          the scanner, with the video frozen, after the first result.
+     *          Call resume() to scan again.
+     *      - cooldownMs: minimum time between two success callbacks, defaults
+     *          to 0.
+     *      - dedupeWindowMs: a decoded value is reported again only after
+     *          this time, defaults to 0.
+     *      - requiredConsecutiveReads: number of consecutive frames that
+     *          should decode to the same value before it's reported, helps
+     *          against misreads. Defaults to 1.
+     *      - rememberLastUsedCamera: if true the id of the camera that was
+     *          started successfully is stored in localStorage, it can be
+     *          read back with Html5Qrcode.getLastUsedCameraId().
+     *      - resultMode: overrides the resultMode passed to the constructor
+     *          for this scan.
+     *      - reportDecodeMisses: set to false to not call qrCodeErrorCallback
+     *          for frames without a code, getStats() still counts them.
+     *          Other errors, like a failing preprocessing filter, are always
+     *          reported.
+     *      - overlay: scan feedback drawn over the viewfinder, shading colour
+     *          and opacity, corner brackets, scanning line, outline of the
+     *          detected code, success flash, sound and vibration. See
+     *          Html5QrcodeOverlay for the supported fields. Example:
+     *          { shadingOpacity: 0.7, scanLine: true, vibrate: true }
      * @param {Function} qrCodeSuccessCallback callback on QR Code found.
+     *  Example, with resultMode Html5Qrcode.RESULT_MODE_LEGACY:
+     *      function(qrCodeMessage, result) {}
+     *  Example, with resultMode Html5Qrcode.RESULT_MODE_STRUCTURED:
+     *      function(result) {}
+     *  where result is an object of type:
+     *  {
+     *      text: String;           // Decoded text.
+     *      format: String;         // One of Html5QrcodeSupportedFormats.
+     *      decoder: String;        // Name of the decoder used.
+     *      cornerPoints: Array;    // [{ x, y }] in video coordinates, null if
+     *                              // the decoder doesn't report them.
+     *      timestamp: Number;      // Milliseconds since epoch.
+     *      source: String;         // Camera id, file name, video URL or
+     *                              // video element id.
+     *      payload: Object;        // With parsePayload, the typed payload
+     *                              // from Html5QrcodePayloadParser.parse(),
+     *                              // null if the text was malformed.
+     *      payloadError: Html5QrcodeError; // With parsePayload, why the
+     *                              // payload is null.
+     *  }
+     * @param {Function} qrCodeErrorCallback callback on QR Code parse error,
+     *  called with an Html5QrcodeError of code DECODE_MISS.
      *  Example:
-     *      function(qrCodeMessage) {}
-     * @param {Function} qrCodeErrorCallback callback on QR Code parse error.
-     *  Example:
-     *      function(errorMessage) {}
+     *      function(error) {}
      * 
-     * @returns Promise for starting the scan. The Promise can fail if the user
-     * doesn't grant permission or some API is not supported by the browser.
+     * @returns Promise for starting the scan. The Promise can fail with an
+     * Html5QrcodeError if the user doesn't grant permission
+     * (PERMISSION_DENIED), the camera is missing (NO_CAMERA) or busy
+     * (CAMERA_IN_USE), the page isn't served over https (INSECURE_CONTEXT)
+     * or some API is not supported by the browser (UNSUPPORTED_BROWSER).
+     * Until it settles the state is STARTING, start() and clear() throw
+     * INVALID_STATE and stop() cancels it.
      */
-    start(cameraId,
+    start(cameraIdOrConfig,
         configuration,
         qrCodeSuccessCallback,
         qrCodeErrorCallback) {
-        if (!cameraId) {
-            throw "cameraId is required";
+        if (!cameraIdOrConfig) {
+            throw new Html5QrcodeError(Html5QrcodeErrorCode.INVALID_CONFIG,
+                "cameraIdOrConfig is required");
         }
+        Html5Qrcode._validateCameraIdOrConfig(cameraIdOrConfig);
 
         if (!qrCodeSuccessCallback || typeof qrCodeSuccessCallback != "function") {
-            throw "qrCodeSuccessCallback is required and should be a function."
+            throw new Html5QrcodeError(Html5QrcodeErrorCode.INVALID_CONFIG,
+                "qrCodeSuccessCallback is required and should be a function.");
         }
 
         if (!qrCodeErrorCallback) {
@@ -79,7 +1391,6 @@ class Html5Qrcode {
 
         // Cleanup.
         this._clearElement();
-        const $this = this;
 
         // Create configuration by merging default and input settings.
         const config = configuration ? configuration : {};
@@ -91,47 +1402,95 @@ class Html5Qrcode {
         const width = element.clientWidth ? element.clientWidth : Html5Qrcode.DEFAULT_WIDTH;
         element.style.position = "relative";
 
-        this._shouldScan = true;
-        this._element = element;
-        qrcode.callback = qrCodeSuccessCallback;
+        // Validates the whole config before the decoder, which may be a
+        // worker, is created.
+        const frameProcessor = this._createFrameProcessor(config.preprocessing);
+        const parsePayload = this._getParsePayload(config.parsePayload);
+        const overlay = new Html5QrcodeOverlay(config.overlay);
+        const reportDecodeMisses = config.reportDecodeMisses !== false;
+        const resultMode = config.resultMode
+            ? Html5Qrcode._getResultMode(config.resultMode) : this._resultMode;
+        const streamHints = Html5Qrcode._createStreamHints(config);
+        const scanMode = Html5Qrcode._getScanMode(config.scanMode);
+        const resultFilter = new Html5QrcodeResultFilter({
+            cooldownMs: Html5Qrcode._getNonNegativeNumber(
+                config.cooldownMs, "cooldownMs", /* defaultValue= */ 0),
+            dedupeWindowMs: Html5Qrcode._getNonNegativeNumber(
+                config.dedupeWindowMs, "dedupeWindowMs", /* defaultValue= */ 0),
+            requiredConsecutiveReads: Html5Qrcode._getPositiveInteger(
+                config.requiredConsecutiveReads,
+                "requiredConsecutiveReads",
+                /* defaultValue= */ 1)
+        });
 
-        // Validate before insertion
-        if (isShadedBoxEnabled) {
-            const qrboxSize = config.qrbox;
-            if (qrboxSize < Html5Qrcode.MIN_QR_BOX_SIZE) {
-                throw `minimum size of 'config.qrbox' is ${Html5Qrcode.MIN_QR_BOX_SIZE}px.`;
+        // Validate before insertion, a function can only be validated once
+        // the viewfinder size is known.
+        if (isShadedBoxEnabled && typeof config.qrbox != "function") {
+            const qrboxDimensions = Html5Qrcode._getQrboxDimensions(
+                config.qrbox, width, /* viewfinderHeight= */ width);
+            if (qrboxDimensions.width > width) {
+                throw new Html5QrcodeError(Html5QrcodeErrorCode.INVALID_CONFIG,
+                    "'config.qrbox' should not be greater than the "
+                        + "width of the HTML element.");
             }
+        }
 
-            if (qrboxSize > width) {
-                throw "'config.qrbox' should not be greater than the "
-                    + "width of the HTML element.";
-            }
+        const $this = this;
+        const startId = ++this._startId;
+        const isStartCancelled = () => $this._startId != startId;
+        this._shouldScan = true;
+        this._element = element;
+        this._frameProcessor = frameProcessor;
+        this._parsePayload = parsePayload;
+        this._overlay = overlay;
+        this._stats.reset();
+        this._decoder = this._createDecoder(
+            config.experimentalFeatures, config.formatsToSupport);
+        try {
+            this._videoSource = this._createVideoSource(cameraIdOrConfig, config, width);
+        } catch (error) {
+            this._possiblyReleaseDecoder();
+            throw error;
         }
+        this._state = Html5QrcodeScannerState.STARTING;
 
         //#region local methods
         /**
-         * Setups the UI elements, changes the state of this class.
+         * Computes the region of the viewfinder used for scanning.
          * 
          * @param width derived width of viewfinder.
          * @param height derived height of viewfinder.
          */ 
-        const setupUi = (width, height) => {
-            const qrboxSize = config.qrbox;
-            if (qrboxSize > height) {
-                console.warn("[Html5Qrcode] config.qrboxsize is greater "
-                    + "than video height. Shading will be ignored");
-            }
-
-            const shouldShadingBeApplied = isShadedBoxEnabled && qrboxSize <= height;
+        const computeQrRegion = (width, height) => {
             const defaultQrRegion = {
                 x: 0,
                 y: 0,
                 width: width,
                 height: height
             };
-            const qrRegion = shouldShadingBeApplied
-                ? this._getShadedRegionBounds(width, height, qrboxSize)
-                : defaultQrRegion;
+            if (!isShadedBoxEnabled) {
+                return defaultQrRegion;
+            }
+
+            const qrboxDimensions = Html5Qrcode._getQrboxDimensions(
+                config.qrbox, width, height);
+            if (qrboxDimensions.width > width || qrboxDimensions.height > height) {
+                console.warn("[Html5Qrcode] config.qrbox is greater "
+                    + "than video size. Shading will be ignored");
+                return defaultQrRegion;
+            }
+            return this._getShadedRegionBounds(width, height, qrboxDimensions);
+        }
+
+        /**
+         * Setups the UI elements, changes the state of this class.
+         * 
+         * @param width derived width of viewfinder.
+         * @param height derived height of viewfinder.
+         */ 
+        const setupUi = (width, height) => {
+            const qrRegion = computeQrRegion(width, height);
+            const shouldShadingBeApplied = qrRegion.x != 0 || qrRegion.y != 0;
   
             const canvasElement = this._createCanvasElement(qrRegion.width, qrRegion.height);
             const context = canvasElement.getContext('2d');
@@ -140,195 +1499,513 @@ class Html5Qrcode {
   
             // Insert the canvas
             element.append(canvasElement);
-            if (shouldShadingBeApplied) {
-                this._possiblyInsertShadingElement(element, height, qrRegion);
+            // A video element of the caller is elsewhere on the page.
+            if ($this._videoSource.ownsVideoElement) {
+                if (shouldShadingBeApplied) {
+                    this._possiblyInsertShadingElement(element, height, qrRegion);
+                }
+                $this._overlay.attach(
+                    element, width, height, qrRegion, shouldShadingBeApplied);
             }
   
             // Update local states
             $this._qrRegion = qrRegion;
             $this._context = context;
             $this._canvasElement = canvasElement;
+            $this._viewfinderSize = { width: width, height: height };
+
+            $this._startViewfinderObserver(relayoutUi,
+                $this._videoSource.ownsVideoElement ? element : $this._videoElement);
+        }
+
+        /**
+         * Lays out the viewfinder again for the current size of the element,
+         * the camera stream keeps running.
+         */
+        const relayoutUi = () => {
+            const videoElement = $this._videoElement;
+            if (!videoElement || !$this._canvasElement) {
+                return;
+            }
+
+            if ($this._videoSource.ownsVideoElement) {
+                const elementWidth = element.clientWidth
+                    ? element.clientWidth : Html5Qrcode.DEFAULT_WIDTH;
+                videoElement.style.width = `${elementWidth}px`;
+            }
+            const { width, height } = Html5Qrcode._getDisplayedSize(videoElement);
+            if ($this._viewfinderSize
+                && $this._viewfinderSize.width == width
+                && $this._viewfinderSize.height == height
+                && typeof config.qrbox != "function") {
+                return;
+            }
+            $this._viewfinderSize = { width: width, height: height };
+
+            let qrRegion;
+            try {
+                qrRegion = computeQrRegion(width, height);
+            } catch (error) {
+                // A config.qrbox function rejected the new size, the current
+                // layout is kept.
+                qrCodeErrorCallback(error);
+                return;
+            }
+            $this._canvasElement.width = qrRegion.width;
+            $this._canvasElement.height = qrRegion.height;
+            $this._canvasElement.style.width = `${qrRegion.width}px`;
+            $this._canvasElement.style.height = `${qrRegion.height}px`;
+            $this._relayoutShadingElements(element, height, qrRegion);
+            $this._overlay.layout(width, height, qrRegion);
+            $this._qrRegion = qrRegion;
+            Html5Qrcode._log(`Viewfinder laid out again for ${width}X${height}.`);
         }
   
+        // Whether the last frame is still being decoded and when it was taken.
+        let isDecodeInFlight = false;
+        let lastScanTime = 0;
+
         // Method that scans forever.
         const foreverScan = () => {
-            if (!$this._shouldScan) {
+            if (!isActiveScan()) {
                 // Stop scanning.
                 return;
             }
-            if ($this._localMediaStream) {
+            lastScanTime = performance.now();
+            scheduleNextScan();
+            if (isDecodeInFlight) {
+                // Back-pressure, drop this frame while the last one decodes.
+                Html5Qrcode._log("Frame dropped, decode still in flight.");
+                $this._stats.recordDroppedFrame();
+                return;
+            }
+            if ($this._videoElement) {
                 
                 // There is difference in size of rendered video and one that is
                 // considered by the canvas. We need to account for scaling factor.
                 const videoElement = $this._videoElement;
-                const widthRatio = videoElement.videoWidth / videoElement.clientWidth;
-                const heightRatio = videoElement.videoHeight / videoElement.clientHeight;
+                const widthRatio = videoElement.videoWidth / $this._viewfinderSize.width;
+                const heightRatio = videoElement.videoHeight / $this._viewfinderSize.height;
                 const sWidthOffset = $this._qrRegion.width * widthRatio;
                 const sHeightOffset = $this._qrRegion.height * heightRatio;
+                // In video pixels, like the reported corner points.
+                const sourceRegion = {
+                    x: $this._qrRegion.x * widthRatio,
+                    y: $this._qrRegion.y * heightRatio,
+                    width: sWidthOffset,
+                    height: sHeightOffset
+                };
+                // Region of this frame, the viewfinder may be laid out again
+                // while it decodes.
+                const qrRegion = $this._qrRegion;
   
                 // Only decode the relevant area, ignore the shaded area, More reference:
                 // https://developer.mozilla.org/en-US/docs/Web/API/CanvasRenderingContext2D/drawImage
                 $this._context.drawImage(
                     $this._videoElement,
-                    /* sx= */ $this._qrRegion.x, 
-                    /* sy= */ $this._qrRegion.y, 
-                    /* sWidth= */ sWidthOffset, 
-                    /* sHeight= */ sHeightOffset,
+                    /* sx= */ sourceRegion.x, 
+                    /* sy= */ sourceRegion.y, 
+                    /* sWidth= */ sourceRegion.width, 
+                    /* sHeight= */ sourceRegion.height,
                     /* dx= */ 0,
                     /* dy= */  0, 
                     /* dWidth= */ $this._qrRegion.width, 
                     /* dHeight= */ $this._qrRegion.height);
-                try {
-                    qrcode.decode();
-                } catch (exception) {
-                    qrCodeErrorCallback(`QR code parse error, error = ${exception}`);
+                isDecodeInFlight = true;
+                const decodeStartTime = performance.now();
+                // Frames of an earlier start() aren't counted.
+                const recordDecode = isSuccess => {
+                    if ($this._foreverScan === foreverScan) {
+                        $this._stats.recordDecode(
+                            performance.now() - decodeStartTime, isSuccess);
+                    }
                 }
+                $this._decodeAsync(
+                    $this._canvasElement, sourceRegion, $this._getCameraSource())
+                    .then(result => {
+                        recordDecode(/* isSuccess= */ true);
+                        if (!isActiveScan() || !resultFilter.accept(result)) {
+                            return;
+                        }
+                        if (scanMode == Html5QrcodeScanMode.SINGLE) {
+                            $this.pause(/* shouldPauseVideo= */ true);
+                        }
+                        $this._overlay.onResult(result, point => ({
+                            x: qrRegion.x + (point.x - sourceRegion.x)
+                                * qrRegion.width / sourceRegion.width,
+                            y: qrRegion.y + (point.y - sourceRegion.y)
+                                * qrRegion.height / sourceRegion.height
+                        }));
+                        $this._stats.recordResultReported();
+                        $this._possiblyRecordHistory(result);
+                        Html5Qrcode._deliverResult(
+                            qrCodeSuccessCallback, result, resultMode);
+                    }, exception => {
+                        recordDecode(/* isSuccess= */ false);
+                        resultFilter.miss();
+                        const error = Html5QrcodeError.fromDecodeError(exception);
+                        if (isActiveScan() && (reportDecodeMisses
+                            || error.code != Html5QrcodeErrorCode.DECODE_MISS)) {
+                            qrCodeErrorCallback(error);
+                        }
+                    })
+                    .then(() => {
+                        isDecodeInFlight = false;
+                    });
             }
-            $this._foreverScanTimeout = setTimeout(
-                foreverScan, Html5Qrcode._getTimeoutFps(config.fps));
         }
 
-        // success callback when user media (Camera) is attached.
-        const onMediaStreamReceived = mediaStream => {
+        // False once paused or stopped, or once a later start() took over.
+        const isActiveScan = () => {
+            return $this._shouldScan && $this._foreverScan === foreverScan;
+        }
+
+        // Schedules the next frame, on the next video frame at most config.fps
+        // times a second where requestVideoFrameCallback is supported.
+        const scheduleNextScan = () => {
+            if (!isActiveScan()) {
+                return;
+            }
+            const interval = Html5Qrcode._getTimeoutFps(config.fps);
+            const videoElement = $this._videoElement;
+            if (config.useVideoFrameCallback === false
+                || typeof videoElement.requestVideoFrameCallback != "function") {
+                $this._foreverScanTimeout = setTimeout(foreverScan, interval);
+                return;
+            }
+
+            const onVideoFrame = now => {
+                if (now - lastScanTime < interval) {
+                    $this._videoFrameCallbackId
+                        = videoElement.requestVideoFrameCallback(onVideoFrame);
+                    return;
+                }
+                foreverScan();
+            };
+            $this._videoFrameCallbackId
+                = videoElement.requestVideoFrameCallback(onVideoFrame);
+        }
+
+        // Starts scanning once the video plays.
+        const startVideo = () => {
+            const videoElement = $this._videoSource.videoElement;
             return new Promise((resolve, reject) => {
-                const setupVideo = () => {
-                    const videoElement = this._createVideoElement(width);
-                    $this._element.append(videoElement);
-                    // Attach listeners to video.
-                    videoElement.onabort = reject;
-                    videoElement.onerror = reject;
-                    videoElement.onplaying = () => {
-                        const videoWidth = videoElement.clientWidth;
-                        const videoHeight = videoElement.clientHeight;
-                        setupUi(videoWidth, videoHeight);
-
-                        // start scanning after video feed has started
-                        foreverScan();
-                        resolve();
+                const onPlaying = () => {
+                    $this._cancelPendingStart = null;
+                    if (isStartCancelled()) {
+                        // stop() releases the video.
+                        reject(Html5Qrcode._createStartCancelledError());
+                        return;
+                    }
+                    const displayedSize = Html5Qrcode._getDisplayedSize(videoElement);
+                    try {
+                        setupUi(displayedSize.width, displayedSize.height);
+                    } catch (error) {
+                        // config.qrbox functions are validated here.
+                        reject(error);
+                        return;
                     }
 
-                    videoElement.srcObject = mediaStream;
-                    videoElement.play();
+                    // start scanning after video feed has started
+                    $this._state = Html5QrcodeScannerState.SCANNING;
+                    $this._foreverScan = foreverScan;
+                    foreverScan();
+                    resolve();
+                }
+
+                // Set state
+                $this._videoElement = videoElement;
 
-                    // Set state
-                    $this._videoElement = videoElement;
+                if (!$this._videoSource.ownsVideoElement) {
+                    if (!videoElement.paused && videoElement.readyState
+                        >= HTMLMediaElement.HAVE_CURRENT_DATA) {
+                        onPlaying();
+                        return;
+                    }
+                    videoElement.addEventListener("playing", onPlaying, { once: true });
+                    $this._cancelPendingStart = () => {
+                        videoElement.removeEventListener("playing", onPlaying);
+                        reject(Html5Qrcode._createStartCancelledError());
+                    };
+                    return;
                 }
 
-                $this._localMediaStream = mediaStream;
-                setupVideo();
-
-                // TODO(mebjas): see if constaints can be applied on camera
-                // for better results or performance.
-
-                // const constraints = {
-                //   width: { min: width , ideal: width, max: width },
-                //   frameRate: { ideal: 30, max: 30 }
-                // }
-                // const track = mediaStream.getVideoTracks()[0];
-                // track.applyConstraints(constraints)
-                // .then(() => setupVideo())
-                // .catch(error => {
-                //   console.log("[Warning] [Html5Qrcode] Constriants could not be "
-                //     + "satisfied, ignoring constraints", error);
-                //   setupVideo();
-                // });
+                // Called by stop() while the video is starting, onplaying
+                // never fires once the tracks are stopped.
+                $this._cancelPendingStart = () => {
+                    reject(Html5Qrcode._createStartCancelledError());
+                };
+                $this._element.append(videoElement);
+                // Attach listeners to video.
+                videoElement.onabort = event => {
+                    reject(new Html5QrcodeError(Html5QrcodeErrorCode.UNKNOWN,
+                        "Loading the video was aborted.", event));
+                };
+                videoElement.onerror = () => {
+                    const error = videoElement.error;
+                    reject(new Html5QrcodeError(Html5QrcodeErrorCode.UNKNOWN,
+                        "Unable to play the video, error = "
+                            + `${error ? error.message || error.code : "unknown"}`,
+                        error));
+                };
+                videoElement.onplaying = () => {
+                    // Resuming a paused video fires onplaying again.
+                    videoElement.onplaying = null;
+                    onPlaying();
+                }
+                if ($this._videoSource.mediaStream) {
+                    videoElement.srcObject = $this._videoSource.mediaStream;
+                }
+                videoElement.play();
             });
         }
+
+        // success callback when user media (Camera) is attached.
+        const onMediaStreamReceived = mediaStream => {
+            if (isStartCancelled()) {
+                Html5Qrcode._stopStream(mediaStream);
+                return Promise.reject(Html5Qrcode._createStartCancelledError());
+            }
+            $this._localMediaStream = mediaStream;
+            $this._videoSource.mediaStream = mediaStream;
+            return startVideo();
+        }
+
+        // Called once the video feed is playing.
+        const onScanStarted = () => {
+            if (config.rememberLastUsedCamera) {
+                $this._possiblyStoreLastUsedCamera();
+            }
+        }
+
+        // Releases the decoder, stream and video of a failed start, a
+        // cancelled one is released by stop().
+        const releaseOnFailure = error => {
+            if (!isStartCancelled()) {
+                $this._releaseVideo();
+            }
+            throw error;
+        }
         //#endregion
   
+        if (!this._videoSource.isCamera) {
+            $this._localMediaStream = this._videoSource.mediaStream;
+            return startVideo().catch(releaseOnFailure);
+        }
         return new Promise((resolve, reject) => {
             if (navigator.mediaDevices && navigator.mediaDevices.getUserMedia) {
-                const videoConstraints = {
-                    deviceId: { exact: cameraId }
-                };
+                // Caller supplied videoConstraints win over the stream hints.
+                // The hints are ideal values, the browser picks the closest
+                // stream instead of failing.
+                const videoConstraints = Html5Qrcode._createVideoConstraints(
+                    cameraIdOrConfig,
+                    Object.assign({}, streamHints, config.videoConstraints));
                 navigator.mediaDevices.getUserMedia(
                     { audio: false, video: videoConstraints })
                     .then(stream => {
+                        Html5Qrcode._logDegradedStreamSettings(stream, streamHints);
                         onMediaStreamReceived(stream)
                         .then(_ => {
-                            $this._isScanning = true;
+                            onScanStarted();
                             resolve();
                         })
                         .catch(reject);    
                     })
                     .catch(err => {
-                        reject(`Error getting userMedia, error = ${err}`);
+                        reject(Html5QrcodeError.fromMediaError(
+                            err, `Error getting userMedia, error = ${err}`));
                     });
             } else if (navigator.getUserMedia) {
-                const getCameraConfig = {
-                    video: { 
-                        optional: [{ 
-                            sourceId: cameraId
-                        }]
-                    }
-                };
+                // Legacy API only supports selecting camera by id.
+                const getCameraConfig = typeof cameraIdOrConfig == "string"
+                    ? { video: { optional: [{ sourceId: cameraIdOrConfig }] } }
+                    : { video: true };
                 navigator.getUserMedia(getCameraConfig,
                     stream => {
                         onMediaStreamReceived(stream)
                         .then(_ => {
-                            $this._isScanning = true;
+                            onScanStarted();
                             resolve();
                         })
                         .catch(reject);
                     }, err => {
-                        reject(`Error getting userMedia, error = ${err}`);
+                        reject(Html5QrcodeError.fromMediaError(
+                            err, `Error getting userMedia, error = ${err}`));
                     });
             } else {
-                reject("Web camera streaming not supported by the browser.");
+                reject(Html5Qrcode._createStreamingUnsupportedError(
+                    "Web camera streaming not supported by the browser."));
             }
-        });
+        }).catch(releaseOnFailure);
+    }
+
+    /**
+     * Pauses scanning, the camera stream is kept alive so that resume() is
+     * fast and doesn't ask for the camera again.
+     *
+     * @param {boolean} shouldPauseVideo if true the video is frozen on the
+     *  current frame, else the video keeps playing without being scanned.
+     */
+    pause(shouldPauseVideo) {
+        if (this._state != Html5QrcodeScannerState.SCANNING) {
+            throw new Html5QrcodeError(Html5QrcodeErrorCode.INVALID_STATE,
+                "Cannot pause, scanner is not scanning.");
+        }
+
+        this._shouldScan = false;
+        this._cancelScheduledScan();
+        if (shouldPauseVideo === true) {
+            this._videoElement.pause();
+        }
+        this._state = Html5QrcodeScannerState.PAUSED;
+    }
+
+    /**
+     * Resumes scanning after pause().
+     */
+    resume() {
+        if (this._state != Html5QrcodeScannerState.PAUSED) {
+            throw new Html5QrcodeError(Html5QrcodeErrorCode.INVALID_STATE,
+                "Cannot resume, scanner is not paused.");
+        }
+
+        if (this._videoElement.paused) {
+            this._videoElement.play();
+        }
+        this._shouldScan = true;
+        this._state = Html5QrcodeScannerState.SCANNING;
+        this._foreverScan();
+    }
+
+    /**
+     * Returns the state of the scanner, one of Html5QrcodeScannerState.
+     *
+     * @returns {String} NOT_STARTED, SCANNING or PAUSED.
+     */
+    getState() {
+        return this._state;
+    }
+
+    /**
+     * Returns diagnostics of the camera scan since the last start() or
+     * resetStats(), of type:
+     *  {
+     *      framesScanned: Number;          // Frames passed to the decoder.
+     *      framesDropped: Number;          // Frames skipped while the
+     *                                      // previous one was decoding.
+     *      successes: Number;              // Frames with a code.
+     *      misses: Number;                 // Frames without a code.
+     *      resultsReported: Number;        // Results passed to the success
+     *                                      // callback.
+     *      successRate: Number;            // successes / framesScanned.
+     *      averageDecodeTimeMs: Number;
+     *      lastDecodeTimeMs: Number;       // null before the first frame.
+     *      maxDecodeTimeMs: Number;
+     *  }
+     */
+    getStats() {
+        return this._stats.snapshot();
+    }
+
+    /**
+     * Resets the counters returned by getStats().
+     */
+    resetStats() {
+        this._stats.reset();
     }
 
     /**
      * Stops streaming QR Code video and scanning. 
+     *
+     * Safe to call before start() or while start() is waiting for the
+     * camera, the pending start() then fails with INVALID_STATE. Calls while
+     * a stop is in progress return the promise of that stop.
      * 
      * @returns Promise for safely closing the video stream.
      */
     stop() {
-        // TODO(mebjas): fail fast if the start() wasn't called.
+        if (this._pendingStop) {
+            return this._pendingStop;
+        }
         this._shouldScan = false;
-        clearTimeout(this._foreverScanTimeout);
+        this._cancelScheduledScan();
+        ++this._startId;
+        if (this._cancelPendingStart) {
+            this._cancelPendingStart();
+            this._cancelPendingStart = null;
+        }
 
         const $this = this;
-        return new Promise((resolve, /* ignore */ reject) => {
-            qrcode.callback = null;
-            const tracksToClose = $this._localMediaStream.getVideoTracks().length;
-            var tracksClosed = 0;
-
-            // Removes the shaded region if exists.
-            const removeQrRegion = () => {
-                while ($this._element.getElementsByClassName(
-                    Html5Qrcode.SHADED_REGION_CLASSNAME).length) {
-                    const shadedChild = $this._element.getElementsByClassName(
-                        Html5Qrcode.SHADED_REGION_CLASSNAME)[0];
-                    $this._element.removeChild(shadedChild);
-                }
+        this._stopViewfinderObserver();
+        if (!this._videoElement) {
+            // Never started, or the camera isn't open yet, in which case the
+            // pending start() stops the stream once it's received.
+            if (this._videoSource) {
+                this._releaseVideo();
             }
+            return Promise.resolve(true);
+        }
 
-            const onAllTracksClosed = () => {
-                $this._localMediaStream = null;
-                $this._element.removeChild($this._videoElement);
-                $this._element.removeChild($this._canvasElement);
-                removeQrRegion();
-                $this._isScanning = false;
-                if ($this._qrRegion) {
-                    $this._qrRegion = null;
-                }
-                if ($this._context) {
-                    $this._context = null;
-                }
-                resolve(true);
-            }
-
-            $this._localMediaStream.getVideoTracks().forEach(videoTrack => {
-                videoTrack.stop();
-                ++tracksClosed;
-
-                if (tracksClosed >= tracksToClose) {
-                    onAllTracksClosed();
-                }
-            });
+        // Torch is switched off first, some devices keep the flash on if the
+        // track is released while it's lit.
+        this._pendingStop = this._possiblyTurnOffTorch().then(() => {
+            $this._pendingStop = null;
+            $this._releaseVideo();
+            return true;
         });
+        return this._pendingStop;
+    }
+
+    // Releases what start() set up: the tracks, file or URL and elements
+    // owned by this instance, the UI and the decoder. Used by stop() and when
+    // start() fails once the video source is created.
+    _releaseVideo() {
+        const videoSource = this._videoSource;
+        if (!videoSource) {
+            // Already released by an earlier stop().
+            return;
+        }
+        if (videoSource.ownsMediaStream && this._localMediaStream) {
+            this._localMediaStream.getVideoTracks().forEach(
+                videoTrack => videoTrack.stop());
+        }
+        this._localMediaStream = null;
+        if (videoSource.ownsVideoElement) {
+            // Releases the file or URL of a video.
+            videoSource.videoElement.pause();
+            videoSource.videoElement.removeAttribute("src");
+            videoSource.videoElement.srcObject = null;
+        }
+        if (videoSource.objectUrl) {
+            URL.revokeObjectURL(videoSource.objectUrl);
+        }
+        // The canvas is missing if stop() was called while the video was
+        // starting, a video element of the caller is left in place.
+        const children = [this._canvasElement];
+        if (videoSource.ownsVideoElement) {
+            children.push(videoSource.videoElement);
+        }
+        for (const child of children) {
+            if (child && child.parentElement === this._element) {
+                this._element.removeChild(child);
+            }
+        }
+        this._stopViewfinderObserver();
+        this._videoElement = null;
+        this._canvasElement = null;
+        this._videoSource = null;
+        this._removeShadingElements();
+        this._overlay.detach();
+        this._state = Html5QrcodeScannerState.NOT_STARTED;
+        this._foreverScan = null;
+        this._isTorchOn = false;
+        this._possiblyReleaseDecoder();
+        if (this._qrRegion) {
+            this._qrRegion = null;
+        }
+        if (this._context) {
+            this._context = null;
+        }
     }
 
     /**
@@ -339,73 +2016,261 @@ class Html5Qrcode {
      * 
      * @param {File} imageFile a local file with Image content.
      * @param {boolean} showImage if true the Image will be rendered on given element.
+     * @param {Object} configuration optional, supported fields:
+     *      - formatsToSupport: overrides the formatsToSupport passed to the
+     *          constructor for this scan.
+     *      - resultMode: overrides the resultMode passed to the constructor
+     *          for this scan.
+     *      - preprocessing: overrides the preprocessing passed to the
+     *          constructor for this scan.
+     *      - parsePayload: overrides the parsePayload passed to the
+     *          constructor for this scan.
+     *      - exhaustive: if true the image is decoded at several scales, in
+     *          tiles, rotated and with inverted colours, and the Promise
+     *          resolves with an array of result objects, one per distinct
+     *          code found, regardless of resultMode. Much slower.
+     *      - exhaustiveOptions: overrides for
+     *          Html5Qrcode.EXHAUSTIVE_SCAN_DEFAULTS.
      * 
-     * @returns Promise with decoded QR code string on success and error message on failure.
+     * @returns Promise with decoded QR code string on success, or the result
+     *            object described in start() with resultMode
+     *            Html5Qrcode.RESULT_MODE_STRUCTURED, and error message on failure.
      *            Failure could happen due to different reasons:
      *            1. QR Code decode failed because enough patterns not found in image.
      *            2. Input file was not image or unable to load the image or other image load
      *              errors.
      */
-    scanFile(imageFile, /* default=true */ showImage) {
-      const $this = this;
+    scanFile(imageFile, /* default=true */ showImage, configuration) {
       if (!imageFile || !(imageFile instanceof File)) {
-        throw "imageFile argument is mandatory and should be instance "
-         + "of File. Use 'event.target.files[0]'";
+        throw new Html5QrcodeError(Html5QrcodeErrorCode.INVALID_CONFIG,
+            "imageFile argument is mandatory and should be instance "
+                + "of File. Use 'event.target.files[0]'");
       }
-  
-      showImage = showImage === undefined ? true : showImage;
-  
-      if ($this._isScanning) {
-        throw "Close ongoing scan before scanning a file.";
-      }
-  
-    const computeCanvasDrawConfig = (
-        imageWidth, 
-        imageHeight, 
-        containerWidth, 
-        containerHeight) => {
-        
-        if (imageWidth <= containerWidth && imageHeight <= containerHeight) {
-            // no downsampling needed.
-            const xoffset = (containerWidth - imageWidth) / 2;
-            const yoffset = (containerHeight - imageHeight) / 2;
-            return {
-                x: xoffset,
-                y: yoffset,
-                width: imageWidth,
-                height: imageHeight
-            };
-        } else {
-            const formerImageWidth = imageWidth;
-            const formerImageHeight = imageHeight;
-            if (imageWidth > containerWidth) {
-                imageHeight = (containerWidth / imageWidth) * imageHeight;
-                imageWidth = containerWidth;
+      return this.scanImage(imageFile, showImage, configuration);
+    }
+
+    /**
+     * Scans an image for QR Code, see scanFile() for the other arguments and
+     * the returned Promise.
+     *
+     * @param source the image, one of:
+     *      - File or Blob with image content.
+     *      - String, object URL, data URL or same origin / CORS enabled URL.
+     *      - HTMLImageElement, HTMLCanvasElement or ImageBitmap.
+     *      - ImageData.
+     *  The result source is the file name, or the URL for URL strings.
+     */
+    scanImage(source, /* default=true */ showImage, configuration) {
+        if (!Html5Qrcode._isImageSource(source)) {
+            throw new Html5QrcodeError(Html5QrcodeErrorCode.INVALID_CONFIG,
+                "source argument is mandatory and should be a File, Blob, URL, "
+                    + "HTMLImageElement, HTMLCanvasElement, ImageBitmap or ImageData.");
+        }
+
+        showImage = showImage === undefined ? true : showImage;
+
+        if (this._state != Html5QrcodeScannerState.NOT_STARTED) {
+            throw new Html5QrcodeError(Html5QrcodeErrorCode.INVALID_STATE,
+                "Close ongoing scan before scanning a file.");
+        }
+
+        this._possiblyCloseLastScanImageFile();
+        this._clearElement();
+        return this._loadImageSource(source).then(image => {
+            return this._scanLoadedImage(image, showImage, configuration);
+        });
+    }
+
+    /**
+     * Scans images pasted into, or dropped onto, the element. The element
+     * is made focusable so that it can receive paste events.
+     *
+     * @param {Function} qrCodeSuccessCallback callback on QR Code found, see
+     *  start().
+     * @param {Function} qrCodeErrorCallback callback on QR Code parse error
+     *  or image load error.
+     * @param {Object} configuration optional, see scanFile().
+     */
+    enablePasteAndDrop(qrCodeSuccessCallback, qrCodeErrorCallback, configuration) {
+        if (!qrCodeSuccessCallback || typeof qrCodeSuccessCallback != "function") {
+            throw new Html5QrcodeError(Html5QrcodeErrorCode.INVALID_CONFIG,
+                "qrCodeSuccessCallback is required and should be a function.");
+        }
+        if (!qrCodeErrorCallback) {
+            qrCodeErrorCallback = console.log;
+        }
+
+        this.disablePasteAndDrop();
+        const $this = this;
+        const imageConfig = Object.assign({}, configuration);
+        const resultMode = imageConfig.resultMode
+            ? Html5Qrcode._getResultMode(imageConfig.resultMode) : this._resultMode;
+        imageConfig.resultMode = Html5Qrcode.RESULT_MODE_STRUCTURED;
+
+        const scan = source => {
+            let scanPromise;
+            try {
+                scanPromise = $this.scanImage(source, /* showImage= */ true, imageConfig);
+            } catch (error) {
+                qrCodeErrorCallback(error);
+                return;
             }
+            scanPromise
+                .then(result => {
+                    Html5Qrcode._deliverResult(qrCodeSuccessCallback, result, resultMode);
+                })
+                .catch(qrCodeErrorCallback);
+        };
 
-            if (imageHeight > containerHeight) {
-                imageWidth = (containerHeight / imageHeight) * imageWidth;
-                imageHeight = containerHeight;
+        const onPaste = event => {
+            const items = event.clipboardData ? event.clipboardData.items : [];
+            for (const item of items) {
+                if (item.kind == "file" && item.type.startsWith("image/")) {
+                    event.preventDefault();
+                    scan(item.getAsFile());
+                    return;
+                }
+            }
+        };
+        const onDragOver = event => {
+            event.preventDefault();
+            event.dataTransfer.dropEffect = "copy";
+        };
+        const onDrop = event => {
+            event.preventDefault();
+            const dataTransfer = event.dataTransfer;
+            for (const file of dataTransfer.files) {
+                if (file.type.startsWith("image/")) {
+                    scan(file);
+                    return;
+                }
+            }
+            // Images dragged from other pages come as URLs.
+            const url = dataTransfer.getData("text/uri-list")
+                .split("\n")
+                .map(line => line.trim())
+                .find(line => line && !line.startsWith("#"));
+            if (url) {
+                scan(url);
+            } else {
+                qrCodeErrorCallback(new Html5QrcodeError(
+                    Html5QrcodeErrorCode.INVALID_CONFIG,
+                    "Dropped content is not an image."));
             }
+        };
 
-            Html5Qrcode._log(
-                `Image downsampled from ${formerImageWidth}X${formerImageHeight}`
-                + ` to ${imageWidth}X${imageHeight}.`);
+        const element = document.getElementById(this._elementId);
+        if (!element.hasAttribute("tabindex")) {
+            element.tabIndex = 0;
+        }
+        element.addEventListener("paste", onPaste);
+        element.addEventListener("dragover", onDragOver);
+        element.addEventListener("drop", onDrop);
+        this._pasteAndDropListeners = {
+            paste: onPaste,
+            dragover: onDragOver,
+            drop: onDrop
+        };
+    }
 
-            return computeCanvasDrawConfig(
-                imageWidth, imageHeight, containerWidth, containerHeight);
+    /**
+     * Stops scanning pasted and dropped images, see enablePasteAndDrop().
+     */
+    disablePasteAndDrop() {
+        if (!this._pasteAndDropListeners) {
+            return;
         }
-      }
-  
-      return new Promise((resolve, reject) => {
-        $this._possiblyCloseLastScanImageFile();
-        $this._clearElement();
-        $this._lastScanImageFile = imageFile;
-  
-        const inputImage = new Image;
-        inputImage.onload = () => {
-            const imageWidth = inputImage.width;
-            const imageHeight = inputImage.height;
+        const element = document.getElementById(this._elementId);
+        for (const eventName in this._pasteAndDropListeners) {
+            element.removeEventListener(
+                eventName, this._pasteAndDropListeners[eventName]);
+        }
+        this._pasteAndDropListeners = null;
+    }
+
+    /**
+     * Loads any supported image source into something drawable on a canvas.
+     *
+     * @returns Promise of type { drawable, width, height, name }.
+     */
+    _loadImageSource(source) {
+        const loadUrl = (url, name) => {
+            return new Promise((resolve, reject) => {
+                const inputImage = new Image;
+                inputImage.onload = () => {
+                    resolve({
+                        drawable: inputImage,
+                        width: inputImage.width,
+                        height: inputImage.height,
+                        name: name
+                    });
+                }
+                const rejectWithEvent = event => {
+                    reject(new Html5QrcodeError(Html5QrcodeErrorCode.UNKNOWN,
+                        `Unable to load the image, event = ${event.type}`,
+                        event));
+                };
+                inputImage.onerror = rejectWithEvent;
+                inputImage.onabort = rejectWithEvent;
+                inputImage.onstalled = rejectWithEvent;
+                inputImage.onsuspend = rejectWithEvent;
+                if (!url.startsWith("data:") && !url.startsWith("blob:")) {
+                    // Reading pixels of cross origin images needs CORS.
+                    inputImage.crossOrigin = "anonymous";
+                }
+                inputImage.src = url;
+            });
+        };
+
+        if (source instanceof Blob) {
+            this._lastScanImageUrl = URL.createObjectURL(source);
+            return loadUrl(
+                this._lastScanImageUrl, source instanceof File ? source.name : null);
+        }
+        if (typeof source == "string") {
+            return loadUrl(source, source.startsWith("data:") ? null : source);
+        }
+        if (source instanceof HTMLImageElement) {
+            if (source.complete && source.naturalWidth > 0) {
+                return Promise.resolve({
+                    drawable: source,
+                    width: source.naturalWidth,
+                    height: source.naturalHeight,
+                    name: source.currentSrc ? source.currentSrc : null
+                });
+            }
+            return loadUrl(source.src, source.src);
+        }
+        if (source instanceof ImageData) {
+            const canvas = document.createElement("canvas");
+            canvas.width = source.width;
+            canvas.height = source.height;
+            canvas.getContext("2d").putImageData(source, 0, 0);
+            return Promise.resolve({
+                drawable: canvas,
+                width: source.width,
+                height: source.height,
+                name: null
+            });
+        }
+        // HTMLCanvasElement or ImageBitmap.
+        return Promise.resolve({
+            drawable: source,
+            width: source.width,
+            height: source.height,
+            name: null
+        });
+    }
+
+    _scanLoadedImage(image, showImage, configuration) {
+        const $this = this;
+        // Decoder created for this scan, a worker is terminated once the scan
+        // settles instead of staying alive until the next one.
+        let imageDecoder = null;
+        return new Promise((resolve, reject) => {
+            const inputImage = image.drawable;
+            const imageWidth = image.width;
+            const imageHeight = image.height;
             const element = document.getElementById($this._elementId);
             const containerWidth = element.clientWidth 
                 ? element.clientWidth : Html5Qrcode.DEFAULT_WIDTH;
@@ -413,11 +2278,11 @@ class Html5Qrcode {
             const containerHeight = element.clientHeight 
                 ? element.clientHeight : imageHeight ;
   
-            const config = computeCanvasDrawConfig(
+            const config = Html5Qrcode._computeCanvasDrawConfig(
                 imageWidth, imageHeight, containerWidth, containerHeight);
             if (showImage) {
                 const visibleCanvas = $this._createCanvasElement(
-                    containerWidth, containerHeight, 'qr-canvas-visible');
+                    containerWidth, containerHeight);
                 visibleCanvas.style.display = "inline-block";
                 element.appendChild(visibleCanvas);
                 const context = visibleCanvas.getContext('2d');
@@ -452,19 +2317,62 @@ class Html5Qrcode {
                 /* dy= */  0, 
                 /* dWidth= */ config.width, 
                 /* dHeight= */ config.height);
+            const fileConfig = configuration ? configuration : {};
+            let resultMode;
             try {
-                resolve(qrcode.decode());
-            } catch (exception) {
-                reject(`QR code parse error, error = ${exception}`);
+                $this._decoder = $this._createDecoder(
+                    /* experimentalFeatures= */ undefined,
+                    fileConfig.formatsToSupport);
+                imageDecoder = $this._decoder;
+                $this._frameProcessor = $this._createFrameProcessor(
+                    fileConfig.preprocessing);
+                $this._parsePayload = $this._getParsePayload(
+                    fileConfig.parsePayload);
+                resultMode = fileConfig.resultMode
+                    ? Html5Qrcode._getResultMode(fileConfig.resultMode)
+                    : $this._resultMode;
+            } catch (error) {
+                reject(error);
+                return;
             }
-        }
-  
-        inputImage.onerror = reject;
-        inputImage.onabort = reject;
-        inputImage.onstalled = reject;
-        inputImage.onsuspend = reject;
-        inputImage.src = URL.createObjectURL(imageFile);
-      });
+            if (fileConfig.exhaustive) {
+                $this._scanExhaustively(
+                    hiddenCanvas, image, fileConfig.exhaustiveOptions)
+                    .then(results => {
+                        if (results.length == 0) {
+                            reject(Html5QrcodeError.fromDecodeError(
+                                "No code found in exhaustive scan."));
+                            return;
+                        }
+                        results.forEach(result => $this._possiblyRecordHistory(result));
+                        resolve(results);
+                    })
+                    .catch(reject);
+                return;
+            }
+
+            const sourceRegion = {
+                x: 0,
+                y: 0,
+                width: imageWidth,
+                height: imageHeight
+            };
+            $this._decodeAsync(hiddenCanvas, sourceRegion, image.name)
+                .then(result => {
+                    $this._possiblyRecordHistory(result);
+                    resolve(resultMode == Html5Qrcode.RESULT_MODE_STRUCTURED
+                        ? result : result.text);
+                })
+                .catch(exception => {
+                    reject(Html5QrcodeError.fromDecodeError(exception));
+                });
+        }).finally(() => {
+            // A later scan or start() may have replaced it already.
+            if (imageDecoder && $this._decoder === imageDecoder
+                && typeof imageDecoder.terminate == "function") {
+                $this._possiblyReleaseDecoder();
+            }
+        });
     }
   
     /**
@@ -476,87 +2384,774 @@ class Html5Qrcode {
     clear() {
         this._clearElement();
     }
+
+    /**
+     * Returns the capabilities of the running video track.
+     *
+     * Note: should only be called while the camera scan is ongoing.
+     *
+     * @returns {MediaTrackCapabilities} capabilities of the running camera,
+     *  an empty object if the browser doesn't report capabilities.
+     */
+    getRunningTrackCapabilities() {
+        const videoTrack = this._getRunningTrack();
+        if (typeof videoTrack.getCapabilities != "function") {
+            return {};
+        }
+        return videoTrack.getCapabilities();
+    }
+
+    /**
+     * Returns the settings currently applied on the running video track.
+     *
+     * Note: should only be called while the camera scan is ongoing.
+     *
+     * @returns {MediaTrackSettings} settings of the running camera.
+     */
+    getRunningTrackSettings() {
+        return this._getRunningTrack().getSettings();
+    }
+
+    /**
+     * Applies constraints on the running video track, for example
+     * { advanced: [{ zoom: 2 }] }.
+     *
+     * Zoom, focus and exposure constraints are checked against the track
+     * capabilities first, the returned Promise fails if the camera doesn't
+     * support them.
+     *
+     * @param {Object} videoConstraints MediaTrackConstraints to apply.
+     *
+     * @returns Promise which resolves once the constraints are applied.
+     */
+    applyVideoConstraints(videoConstraints) {
+        if (!videoConstraints || typeof videoConstraints != "object") {
+            return Promise.reject(new Html5QrcodeError(
+                Html5QrcodeErrorCode.INVALID_CONFIG,
+                "videoConstraints is required and should be an object."));
+        }
+
+        let videoTrack;
+        try {
+            videoTrack = this._getRunningTrack();
+        } catch (error) {
+            return Promise.reject(error);
+        }
+
+        const capabilities = typeof videoTrack.getCapabilities == "function"
+            ? videoTrack.getCapabilities() : {};
+        const constraintSets = [videoConstraints].concat(
+            Array.isArray(videoConstraints.advanced)
+                ? videoConstraints.advanced : []);
+        for (const constraintSet of constraintSets) {
+            for (const key of Html5Qrcode.CAPABILITY_CONSTRAINTS) {
+                if (key in constraintSet && !(key in capabilities)) {
+                    return Promise.reject(new Html5QrcodeError(
+                        Html5QrcodeErrorCode.INVALID_CONFIG,
+                        `${key} is not supported by the running camera.`));
+                }
+            }
+        }
+
+        return videoTrack.applyConstraints(videoConstraints);
+    }
   
     /**
-     * Returns a Promise with list of all cameras supported by the device.
-     * 
-     * The returned object is a list of result object of type:
-     * [{
-     *      id: String;     // Id of the camera.
-     *      label: String;  // Human readable name of the camera.
-     * }]
+     * Returns a Promise with list of all cameras supported by the device.
+     *
+     * Camera permission is requested first, see requestCameraPermission(),
+     * so that the labels are filled.
+     * 
+     * The returned object is a list of result object of type:
+     * [{
+     *      id: String;     // Id of the camera.
+     *      label: String;  // Human readable name of the camera.
+     * }]
+     */
+    static getCameras() {
+        return new Promise((resolve, reject) => {
+            if (navigator.mediaDevices 
+                && navigator.mediaDevices.enumerateDevices
+                && navigator.mediaDevices.getUserMedia) {
+                this._log("navigator.mediaDevices used");
+                // Labels are only exposed once camera permission is granted.
+                Html5Qrcode.requestCameraPermission()
+                    .then(_ => Html5Qrcode._enumerateCameras())
+                    .then(resolve)
+                    .catch(reject);
+            } else if (MediaStreamTrack && MediaStreamTrack.getSources) {
+                this._log("MediaStreamTrack.getSources used");
+                const callback = sourceInfos => {
+                    const results = [];
+                    for (var i = 0; i !== sourceInfos.length; ++i) {
+                        const sourceInfo = sourceInfos[i];
+                        if (sourceInfo.kind === 'video') {
+                            results.push({
+                                id: sourceInfo.id,
+                                label: sourceInfo.label
+                            });
+                        }
+                    }
+                    this._log(`${results.length} results found`);
+                    resolve(results);
+                }
+                MediaStreamTrack.getSources(callback);
+            } else {
+                this._log("unable to query supported devices.");
+                reject(Html5Qrcode._createStreamingUnsupportedError(
+                    "unable to query supported devices."));
+            } 
+        });
+    }
+
+    /**
+     * Returns true if the page runs in a secure context (https or localhost),
+     * browsers only give camera access in secure contexts.
+     */
+    static isSecureContext() {
+        if (typeof window.isSecureContext == "boolean") {
+            return window.isSecureContext;
+        }
+        // Browsers without window.isSecureContext.
+        return location.protocol == "https:"
+            || ["localhost", "127.0.0.1", "[::1]"].includes(location.hostname);
+    }
+
+    /**
+     * Returns a Promise with the camera permission state, one of
+     * Html5QrcodePermissionState, without prompting the user.
+     *
+     * Resolves with UNKNOWN if the browser has no Permissions API or doesn't
+     * support querying the camera permission.
+     */
+    static getCameraPermissionState() {
+        if (!navigator.permissions
+            || typeof navigator.permissions.query != "function") {
+            return Promise.resolve(Html5QrcodePermissionState.UNKNOWN);
+        }
+        return navigator.permissions.query({ name: "camera" })
+            .then(status => status.state, error => {
+                Html5Qrcode._log(`Unable to query camera permission, error = ${error}`);
+                return Html5QrcodePermissionState.UNKNOWN;
+            });
+    }
+
+    /**
+     * Asks the user for camera permission. The camera opened to get the
+     * permission is released right away.
+     *
+     * @returns Promise which resolves once permission is granted. Fails with
+     * an Html5QrcodeError of code INSECURE_CONTEXT, UNSUPPORTED_BROWSER,
+     * PERMISSION_DENIED, NO_CAMERA or CAMERA_IN_USE.
+     */
+    static requestCameraPermission() {
+        if (!Html5Qrcode.isSecureContext()) {
+            return Promise.reject(new Html5QrcodeError(
+                Html5QrcodeErrorCode.INSECURE_CONTEXT,
+                "Camera access needs a secure context, serve the page over "
+                    + "https or from localhost."));
+        }
+        if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
+            return Promise.reject(Html5Qrcode._createStreamingUnsupportedError(
+                "Web camera streaming not supported by the browser."));
+        }
+        return navigator.mediaDevices.getUserMedia({ audio: false, video: true })
+            .then(stream => {
+                Html5Qrcode._stopStream(stream);
+            }, err => {
+                throw Html5QrcodeError.fromMediaError(
+                    err, `${err.name} : ${err.message}`);
+            });
+    }
+
+    /**
+     * Calls callback with the new list of cameras, of the same type as
+     * getCameras() results, whenever a camera is plugged in or removed.
+     *
+     * Labels are empty unless camera permission was granted.
+     *
+     * @param {Function} callback called with the list of cameras.
+     *  Example:
+     *      function(cameras) {}
+     *
+     * @returns {Function} to call to stop listening.
+     */
+    static onCameraListChange(callback) {
+        if (typeof callback != "function") {
+            throw new Html5QrcodeError(Html5QrcodeErrorCode.INVALID_CONFIG,
+                "callback is required and should be a function.");
+        }
+        const mediaDevices = navigator.mediaDevices;
+        if (!mediaDevices || typeof mediaDevices.addEventListener != "function") {
+            Html5Qrcode._log("devicechange events not supported by the browser.");
+            return () => {};
+        }
+
+        const onDeviceChange = () => {
+            Html5Qrcode._enumerateCameras()
+                .then(callback)
+                .catch(error => {
+                    Html5Qrcode._log(`Unable to list cameras, error = ${error}`);
+                });
+        };
+        mediaDevices.addEventListener("devicechange", onDeviceChange);
+        return () => {
+            mediaDevices.removeEventListener("devicechange", onDeviceChange);
+        };
+    }
+
+    /**
+     * Returns true if the running camera supports torch (flashlight).
+     *
+     * Note: should only be called while the camera scan is ongoing.
+     *
+     * @returns {boolean} true if torch can be turned on and off.
+     */
+    isTorchSupported() {
+        return this.getRunningTrackCapabilities().torch === true;
+    }
+
+    /**
+     * Turns the torch of the running camera on or off.
+     *
+     * @param {boolean} isOn true to turn the torch on, false to turn it off.
+     *
+     * @returns Promise which resolves once the torch state is applied, fails
+     *  if the running camera doesn't support torch.
+     */
+    setTorch(isOn) {
+        const torch = isOn === true;
+        return this.applyVideoConstraints({ advanced: [{ torch: torch }] })
+            .then(() => {
+                this._isTorchOn = torch;
+            });
+    }
+
+    /**
+     * Turns the torch of the running camera on.
+     *
+     * @returns Promise which resolves once the torch is on.
+     */
+    turnOnTorch() {
+        return this.setTorch(true);
+    }
+
+    /**
+     * Turns the torch of the running camera off.
+     *
+     * @returns Promise which resolves once the torch is off.
+     */
+    turnOffTorch() {
+        return this.setTorch(false);
+    }
+
+    /**
+     * Returns true if the torch was turned on with this instance.
+     *
+     * @returns {boolean} current torch state.
+     */
+    isTorchOn() {
+        return this._isTorchOn;
+    }
+
+    _possiblyTurnOffTorch() {
+        if (!this._isTorchOn) {
+            return Promise.resolve();
+        }
+        return this.turnOffTorch().catch(error => {
+            Html5Qrcode._log(`Unable to turn off torch, error = ${error}`);
+        });
+    }
+
+    /**
+     * Returns the name of the decoder used by the last scan, for example
+     * "BarcodeDetector" or "jsqrcode", or null if nothing was scanned yet.
+     *
+     * @returns {String} name of the active decoder.
+     */
+    getDecoderName() {
+        return this._decoder ? this._decoder.name : null;
+    }
+
+    _createDecoder(experimentalFeatures, formatsToSupport) {
+        if (this._config.decoder) {
+            return this._config.decoder;
+        }
+        this._possiblyReleaseDecoder();
+
+        const formats = Html5Qrcode._getFormatsToSupport(
+            formatsToSupport || this._config.formatsToSupport);
+        const isQrCodeOnly = formats.every(
+            format => format == Html5QrcodeSupportedFormats.QR_CODE);
+        const features = Object.assign(
+            {}, this._config.experimentalFeatures, experimentalFeatures);
+        if (this._config.worker && Html5QrcodeWorkerDecoder.isSupported()
+            && (isQrCodeOnly || Html5QrcodeBarcodeDetectorDecoder.isSupported())) {
+            return new Html5QrcodeWorkerDecoder(this._config.worker, {
+                formats: formats,
+                useBarCodeDetectorIfSupported:
+                    features.useBarCodeDetectorIfSupported || !isQrCodeOnly
+            });
+        }
+        if ((features.useBarCodeDetectorIfSupported || !isQrCodeOnly
+                || !Html5QrcodeJsQrcodeDecoder.isSupported())
+            && Html5QrcodeBarcodeDetectorDecoder.isSupported()) {
+            try {
+                return new Html5QrcodeBarcodeDetectorDecoder(formats);
+            } catch (error) {
+                Html5Qrcode._log(
+                    `BarcodeDetector unavailable, using jsqrcode, error = ${error}`);
+            }
+        }
+
+        if (!isQrCodeOnly) {
+            throw new Html5QrcodeError(Html5QrcodeErrorCode.UNSUPPORTED_BROWSER,
+                `Formats ${formats.join(", ")} need BarcodeDetector, which `
+                    + "is not supported by this browser. Only QR_CODE can be "
+                    + "decoded.");
+        }
+        if (!Html5QrcodeJsQrcodeDecoder.isSupported()) {
+            throw new Html5QrcodeError(Html5QrcodeErrorCode.UNSUPPORTED_BROWSER,
+                "qrcode is not defined and BarcodeDetector is not available, "
+                    + "load jsqrcode or pass a decoder.");
+        }
+        return new Html5QrcodeJsQrcodeDecoder();
+    }
+
+    // Terminates decoders owned by this instance, like workers.
+    _possiblyReleaseDecoder() {
+        const decoder = this._decoder;
+        this._decoder = null;
+        if (decoder && decoder !== this._config.decoder
+            && typeof decoder.terminate == "function") {
+            decoder.terminate();
+        }
+    }
+
+    // Camera APIs are hidden outside secure contexts, tells that apart from
+    // browsers which don't have them.
+    static _createStreamingUnsupportedError(message) {
+        if (!Html5Qrcode.isSecureContext()) {
+            return new Html5QrcodeError(Html5QrcodeErrorCode.INSECURE_CONTEXT,
+                "Camera access needs a secure context, serve the page over "
+                    + "https or from localhost.");
+        }
+        return new Html5QrcodeError(
+            Html5QrcodeErrorCode.UNSUPPORTED_BROWSER, message);
+    }
+
+    static _getFormatsToSupport(formatsToSupport) {
+        if (formatsToSupport === undefined || formatsToSupport === null) {
+            return [Html5QrcodeSupportedFormats.QR_CODE];
+        }
+        if (!Array.isArray(formatsToSupport) || formatsToSupport.length == 0) {
+            throw new Html5QrcodeError(Html5QrcodeErrorCode.INVALID_CONFIG,
+                "'config.formatsToSupport' should be a non-empty array.");
+        }
+        for (const format of formatsToSupport) {
+            if (!(format in Html5QrcodeSupportedFormats)) {
+                throw new Html5QrcodeError(Html5QrcodeErrorCode.INVALID_CONFIG,
+                    `Unsupported format '${format}' in `
+                        + "'config.formatsToSupport'.");
+            }
+        }
+        return formatsToSupport;
+    }
+
+    /**
+     * Decodes the canvas and builds the result object.
+     *
+     * @param {HTMLCanvasElement} canvas canvas to decode.
+     * @param {Object} sourceRegion { x, y, width, height } of the video or
+     *  image which was drawn onto the whole canvas.
+     * @param {String} source camera id or file name.
+     */
+    _decodeAsync(canvas, sourceRegion, source) {
+        let isMirrored;
+        try {
+            isMirrored = this._preprocess(canvas);
+        } catch (error) {
+            return Promise.reject(error);
+        }
+        const widthRatio = sourceRegion.width / canvas.width;
+        const heightRatio = sourceRegion.height / canvas.height;
+        const mapPoint = point => ({
+            x: sourceRegion.x
+                + (isMirrored ? canvas.width - point.x : point.x) * widthRatio,
+            y: sourceRegion.y + point.y * heightRatio
+        });
+        return this._decoder.decodeAsync(canvas).then(decodeResult => {
+            return this._createResult(decodeResult, mapPoint, source);
+        });
+    }
+
+    /**
+     * Decodes every code found on the canvas, decoders without
+     * decodeAllAsync() find at most one.
+     *
+     * @param {HTMLCanvasElement} canvas canvas to decode.
+     * @param {Function} mapPoint maps a canvas { x, y } to source coordinates.
+     * @param {String} source camera id or file name.
+     *
+     * @returns Promise with a list of result objects, empty if none found.
+     */
+    _decodeAllAsync(canvas, mapPoint, source) {
+        let isMirrored;
+        try {
+            isMirrored = this._preprocess(canvas);
+        } catch (error) {
+            return Promise.reject(error);
+        }
+        if (isMirrored) {
+            const mapUnmirroredPoint = mapPoint;
+            mapPoint = point => mapUnmirroredPoint(
+                { x: canvas.width - point.x, y: point.y });
+        }
+        const decoder = this._decoder;
+        const decodeAll = typeof decoder.decodeAllAsync == "function"
+            ? decoder.decodeAllAsync(canvas)
+            : decoder.decodeAsync(canvas).then(
+                decodeResult => [decodeResult], /* no code found */ () => []);
+        return decodeAll.then(decodeResults => decodeResults.map(
+            decodeResult => this._createResult(decodeResult, mapPoint, source)));
+    }
+
+    _cancelScheduledScan() {
+        clearTimeout(this._foreverScanTimeout);
+        if (this._videoFrameCallbackId !== null && this._videoElement
+            && typeof this._videoElement.cancelVideoFrameCallback == "function") {
+            this._videoElement.cancelVideoFrameCallback(this._videoFrameCallbackId);
+        }
+        this._videoFrameCallbackId = null;
+    }
+
+    _createFrameProcessor(preprocessing) {
+        const steps = preprocessing !== undefined
+            ? preprocessing : this._config.preprocessing;
+        return steps ? new Html5QrcodeFrameProcessor(steps) : null;
+    }
+
+    // Runs the preprocessing filters on the canvas, returns true if the
+    // canvas is now mirrored. Throws an Html5QrcodeError if a filter fails.
+    _preprocess(canvas) {
+        const frameProcessor = this._frameProcessor;
+        if (!frameProcessor || frameProcessor.isEmpty()) {
+            return false;
+        }
+        const context = canvas.getContext("2d");
+        const imageData = context.getImageData(0, 0, canvas.width, canvas.height);
+        let processed;
+        try {
+            processed = frameProcessor.process(imageData);
+        } catch (error) {
+            throw new Html5QrcodeError(Html5QrcodeErrorCode.UNKNOWN,
+                `Preprocessing of the frame failed, error = ${error}`, error);
+        }
+        // Filters may return a plain { data, width, height }.
+        if (!(processed instanceof ImageData)) {
+            const data = processed.data instanceof Uint8ClampedArray
+                ? processed.data : new Uint8ClampedArray(processed.data);
+            processed = new ImageData(data, processed.width, processed.height);
+        }
+        context.putImageData(processed, 0, 0);
+        return frameProcessor.isMirroring();
+    }
+
+    _createResult(decodeResult, mapPoint, source) {
+        const result = {
+            text: decodeResult.text,
+            format: decodeResult.format,
+            decoder: this._decoder.name,
+            cornerPoints: decodeResult.cornerPoints
+                ? decodeResult.cornerPoints.map(mapPoint) : null,
+            timestamp: Date.now(),
+            source: source
+        };
+        if (this._parsePayload) {
+            // A malformed payload doesn't fail the scan, the text was read.
+            try {
+                result.payload = Html5QrcodePayloadParser.parse(result.text);
+                result.payloadError = null;
+            } catch (error) {
+                result.payload = null;
+                result.payloadError = error;
+            }
+        }
+        return result;
+    }
+
+    // Recording failures don't fail the scan, the result is still delivered.
+    _possiblyRecordHistory(result) {
+        if (!this._config.history) {
+            return;
+        }
+        this._config.history.record(result).catch(error => {
+            Html5Qrcode._log(`Unable to record scan history, error = ${error}`);
+        });
+    }
+
+    _getParsePayload(parsePayload) {
+        const value = parsePayload !== undefined
+            ? parsePayload : this._config.parsePayload;
+        if (value && typeof Html5QrcodePayloadParser == "undefined") {
+            throw new Html5QrcodeError(Html5QrcodeErrorCode.INVALID_CONFIG,
+                "'parsePayload' needs html5-qrcode-payload.js to be loaded.");
+        }
+        return value === true;
+    }
+
+    /**
+     * Decodes the image in several passes, see
+     * Html5Qrcode.EXHAUSTIVE_SCAN_DEFAULTS.
+     *
+     * @param {HTMLCanvasElement} canvas canvas that is reused for every pass.
+     * @param {Object} image loaded image, see _loadImageSource().
+     * @param {Object} exhaustiveOptions overrides of the defaults.
+     *
+     * @returns Promise with one result per distinct code. When the decoder
+     *  doesn't report corner points the result gets the corners of the
+     *  smallest tile the code was found in.
+     */
+    _scanExhaustively(canvas, image, exhaustiveOptions) {
+        const options = Object.assign(
+            {}, Html5Qrcode.EXHAUSTIVE_SCAN_DEFAULTS, exhaustiveOptions);
+        const attempts = Html5Qrcode._createExhaustiveAttempts(
+            image.width, image.height, options);
+        const found = new Map();
+
+        const runAttempt = attempt => {
+            const mapPoint = Html5Qrcode._drawExhaustiveAttempt(
+                canvas, image.drawable, attempt);
+            return this._decodeAllAsync(canvas, mapPoint, image.name)
+                .then(results => results.forEach(result => {
+                    const isPrecise = result.cornerPoints !== null;
+                    if (!isPrecise) {
+                        result.cornerPoints = [
+                            { x: 0, y: 0 },
+                            { x: canvas.width, y: 0 },
+                            { x: canvas.width, y: canvas.height },
+                            { x: 0, y: canvas.height }
+                        ].map(mapPoint);
+                    }
+                    const area = attempt.sourceWidth * attempt.sourceHeight;
+                    const key = `${result.format}:${result.text}`;
+                    const existing = found.get(key);
+                    if (!existing
+                        || (isPrecise && !existing.isPrecise)
+                        || (isPrecise == existing.isPrecise && area < existing.area)) {
+                        found.set(key, { result, isPrecise, area });
+                    }
+                }));
+        };
+
+        Html5Qrcode._log(`Exhaustive scan with ${attempts.length} passes.`);
+        return attempts
+            .reduce((previous, attempt) => previous.then(() => runAttempt(attempt)),
+                Promise.resolve())
+            .then(() => Array.from(found.values()).map(entry => entry.result));
+    }
+
+    /**
+     * Lists the passes of an exhaustive scan, each of type
+     * { sourceX, sourceY, sourceWidth, sourceHeight, scale, rotation, invert }.
      */
-    static getCameras() {
-        return new Promise((resolve, reject) => {
-            if (navigator.mediaDevices 
-                && navigator.mediaDevices.enumerateDevices
-                && navigator.mediaDevices.getUserMedia) {
-                this._log("navigator.mediaDevices used");
-                navigator.mediaDevices.getUserMedia({ audio: false, video: true })
-                .then(_ => {
-                    navigator.mediaDevices.enumerateDevices()
-                    .then(devices => {
-                        const results = [];
-                        for (var i = 0; i < devices.length; i++) {
-                            const device = devices[i];
-                            if (device.kind == "videoinput") {
-                                results.push({
-                                    id: device.deviceId,
-                                    label: device.label
-                                });
-                            }
-                        }
-                        this._log(`${results.length} results found`);
-                        resolve(results);
-                    })
-                    .catch(err => {
-                        reject(`${err.name} : ${err.message}`);
-                    });
-                })
-                .catch(err => {
-                    reject(`${err.name} : ${err.message}`);
-                })
-            } else if (MediaStreamTrack && MediaStreamTrack.getSources) {
-                this._log("MediaStreamTrack.getSources used");
-                const callback = sourceInfos => {
-                    const results = [];
-                    for (var i = 0; i !== sourceInfos.length; ++i) {
-                        const sourceInfo = sourceInfos[i];
-                        if (sourceInfo.kind === 'video') {
-                            results.push({
-                                id: sourceInfo.id,
-                                label: sourceInfo.label
-                            });
-                        }
+    static _createExhaustiveAttempts(imageWidth, imageHeight, options) {
+        const attempts = [];
+        const attemptKeys = new Set();
+        const addAttempt = (region, scale, rotation, invert) => {
+            const attempt = {
+                sourceX: region.x,
+                sourceY: region.y,
+                sourceWidth: region.width,
+                sourceHeight: region.height,
+                scale: Math.min(
+                    scale, options.maxDimension / Math.max(region.width, region.height)),
+                rotation: rotation,
+                invert: invert
+            };
+            // Scales capped by maxDimension can repeat an earlier pass.
+            const key = JSON.stringify(attempt);
+            if (!attemptKeys.has(key)) {
+                attemptKeys.add(key);
+                attempts.push(attempt);
+            }
+        };
+        const wholeImage = { x: 0, y: 0, width: imageWidth, height: imageHeight };
+        const addScalesAndTiles = invert => {
+            options.scales.forEach(scale => addAttempt(wholeImage, scale, 0, invert));
+            options.tileGrids.forEach(grid => {
+                // n tiles per side, each overlapping its neighbours by half.
+                const tileWidth = imageWidth * 2 / (grid + 1);
+                const tileHeight = imageHeight * 2 / (grid + 1);
+                for (let row = 0; row < grid; ++row) {
+                    for (let column = 0; column < grid; ++column) {
+                        addAttempt({
+                            x: column * tileWidth / 2,
+                            y: row * tileHeight / 2,
+                            width: tileWidth,
+                            height: tileHeight
+                        }, /* scale= */ 1, /* rotation= */ 0, invert);
                     }
-                    this._log(`${results.length} results found`);
-                    resolve(results);
                 }
-                MediaStreamTrack.getSources(callback);
-            } else {
-                this._log("unable to query supported devices.");
-                reject("unable to query supported devices.");
-            } 
+            });
+        };
+
+        addScalesAndTiles(/* invert= */ false);
+        options.rotations.forEach(rotation => {
+            addAttempt(wholeImage, /* scale= */ 1, rotation, /* invert= */ false);
         });
+        if (options.tryInverted) {
+            addScalesAndTiles(/* invert= */ true);
+        }
+        return attempts;
+    }
+
+    /**
+     * Draws one exhaustive scan pass on the canvas.
+     *
+     * @returns {Function} which maps a canvas { x, y } back to image
+     *  coordinates.
+     */
+    static _drawExhaustiveAttempt(canvas, drawable, attempt) {
+        const drawWidth = attempt.sourceWidth * attempt.scale;
+        const drawHeight = attempt.sourceHeight * attempt.scale;
+        const radians = attempt.rotation * Math.PI / 180;
+        const cos = Math.cos(radians);
+        const sin = Math.sin(radians);
+        const canvasWidth = Math.round(
+            Math.abs(drawWidth * cos) + Math.abs(drawHeight * sin));
+        const canvasHeight = Math.round(
+            Math.abs(drawWidth * sin) + Math.abs(drawHeight * cos));
+
+        canvas.width = canvasWidth;
+        canvas.height = canvasHeight;
+        const context = canvas.getContext("2d");
+        context.save();
+        context.fillStyle = "#ffffff";
+        context.fillRect(0, 0, canvasWidth, canvasHeight);
+        context.translate(canvasWidth / 2, canvasHeight / 2);
+        context.rotate(radians);
+        context.drawImage(
+            drawable,
+            /* sx= */ attempt.sourceX,
+            /* sy= */ attempt.sourceY,
+            /* sWidth= */ attempt.sourceWidth,
+            /* sHeight= */ attempt.sourceHeight,
+            /* dx= */ -drawWidth / 2,
+            /* dy= */ -drawHeight / 2,
+            /* dWidth= */ drawWidth,
+            /* dHeight= */ drawHeight);
+        context.restore();
+
+        if (attempt.invert) {
+            const imageData = context.getImageData(0, 0, canvasWidth, canvasHeight);
+            context.putImageData(Html5QrcodeFrameProcessor.invert(imageData), 0, 0);
+        }
+
+        return point => {
+            // Undo the rotation around the canvas center, then the scaling.
+            const dx = point.x - canvasWidth / 2;
+            const dy = point.y - canvasHeight / 2;
+            const unrotatedX = dx * cos + dy * sin + drawWidth / 2;
+            const unrotatedY = -dx * sin + dy * cos + drawHeight / 2;
+            return {
+                x: attempt.sourceX + unrotatedX / attempt.scale,
+                y: attempt.sourceY + unrotatedY / attempt.scale
+            };
+        };
+    }
+
+    _getCameraSource() {
+        if (this._videoSource.name) {
+            return this._videoSource.name;
+        }
+        if (!this._localMediaStream) {
+            return null;
+        }
+        // Scanning starts before the state is set, read the stream directly.
+        const videoTracks = this._localMediaStream.getVideoTracks();
+        const settings = videoTracks.length > 0 ? videoTracks[0].getSettings() : {};
+        return settings.deviceId ? settings.deviceId : null;
+    }
+
+    static _getScanMode(scanMode) {
+        if (scanMode === undefined) {
+            return Html5QrcodeScanMode.CONTINUOUS;
+        }
+        if (!(scanMode in Html5QrcodeScanMode)) {
+            throw new Html5QrcodeError(Html5QrcodeErrorCode.INVALID_CONFIG,
+                `Unsupported scanMode '${scanMode}', expected one of `
+                    + `${Object.keys(Html5QrcodeScanMode).join(", ")}.`);
+        }
+        return scanMode;
+    }
+
+    static _getNonNegativeNumber(value, name, defaultValue) {
+        if (value === undefined) {
+            return defaultValue;
+        }
+        if (typeof value != "number" || !(value >= 0)) {
+            throw new Html5QrcodeError(Html5QrcodeErrorCode.INVALID_CONFIG,
+                `'config.${name}' should be a non-negative number.`);
+        }
+        return value;
+    }
+
+    static _getPositiveInteger(value, name, defaultValue) {
+        if (value === undefined) {
+            return defaultValue;
+        }
+        if (!Number.isInteger(value) || value < 1) {
+            throw new Html5QrcodeError(Html5QrcodeErrorCode.INVALID_CONFIG,
+                `'config.${name}' should be a positive integer.`);
+        }
+        return value;
+    }
+
+    static _getResultMode(resultMode) {
+        if (resultMode === undefined) {
+            return Html5Qrcode.RESULT_MODE_LEGACY;
+        }
+        if (resultMode != Html5Qrcode.RESULT_MODE_LEGACY
+            && resultMode != Html5Qrcode.RESULT_MODE_STRUCTURED) {
+            throw new Html5QrcodeError(Html5QrcodeErrorCode.INVALID_CONFIG,
+                `Unsupported resultMode '${resultMode}', expected `
+                    + `'${Html5Qrcode.RESULT_MODE_LEGACY}' or `
+                    + `'${Html5Qrcode.RESULT_MODE_STRUCTURED}'.`);
+        }
+        return resultMode;
+    }
+
+    _getRunningTrack() {
+        if (this._state == Html5QrcodeScannerState.NOT_STARTED
+            || !this._localMediaStream) {
+            throw new Html5QrcodeError(Html5QrcodeErrorCode.INVALID_STATE,
+                "No camera is running, call start() first.");
+        }
+        const videoTracks = this._localMediaStream.getVideoTracks();
+        if (videoTracks.length == 0) {
+            throw new Html5QrcodeError(Html5QrcodeErrorCode.INVALID_STATE,
+                "No video track found on the running camera.");
+        }
+        return videoTracks[0];
     }
 
     _clearElement() {
-      if (this._isScanning) {
-        throw 'Cannot clear while scan is ongoing, close it first.';
+      if (this._state != Html5QrcodeScannerState.NOT_STARTED) {
+        throw new Html5QrcodeError(Html5QrcodeErrorCode.INVALID_STATE,
+            'Cannot clear while scan is ongoing, close it first.');
       }
       const element = document.getElementById(this._elementId);
       element.innerHTML = "";
     }
 
-    _createCanvasElement(width, height, customId) {
+    _createCanvasElement(width, height) {
         const canvasWidth = width;
         const canvasHeight = height;
         const canvasElement = document.createElement('canvas');
         canvasElement.style.width = `${canvasWidth}px`;
         canvasElement.style.height = `${canvasHeight}px`;
         canvasElement.style.display = "none";
-        // This id is set by lazarsoft/jsqrcode
-        canvasElement.id = customId == undefined ? 'qr-canvas' : customId;
         return canvasElement;
     }
 
@@ -568,20 +3163,127 @@ class Html5Qrcode {
         return videoElement;
     }
 
-    _getShadedRegionBounds(width, height, qrboxSize) {
-        if (qrboxSize > width || qrboxSize > height) {
-            throw "'config.qrbox' should not be greater than the "
-             + "width and height of the HTML element.";
+    /**
+     * Returns where the frames of start() come from, of type:
+     *  {
+     *      isCamera: boolean;          // Stream opened with getUserMedia.
+     *      mediaStream: MediaStream;   // null for videos until the camera
+     *                                  // is open, and for video files.
+     *      videoElement: HTMLVideoElement;
+     *      ownsMediaStream: boolean;   // Tracks are stopped by stop().
+     *      ownsVideoElement: boolean;  // Shown in the element of this
+     *                                  // scanner and removed by stop().
+     *      objectUrl: String;          // Revoked by stop().
+     *      name: String;               // Source of the results, null to
+     *                                  // use the camera id.
+     *  }
+     */
+    _createVideoSource(cameraIdOrConfig, config, width) {
+        const videoSource = {
+            isCamera: false,
+            mediaStream: null,
+            videoElement: null,
+            ownsMediaStream: false,
+            ownsVideoElement: true,
+            objectUrl: null,
+            name: null
+        };
+        const input = typeof cameraIdOrConfig == "object" ? cameraIdOrConfig : {};
+        if (input.videoElement) {
+            videoSource.videoElement = input.videoElement;
+            videoSource.ownsVideoElement = false;
+            videoSource.name = input.videoElement.id
+                ? input.videoElement.id : input.videoElement.currentSrc || null;
+            return videoSource;
+        }
+
+        videoSource.videoElement = this._createVideoElement(width);
+        if (input.mediaStream) {
+            videoSource.mediaStream = input.mediaStream;
+        } else if (input.videoFile) {
+            videoSource.objectUrl = URL.createObjectURL(input.videoFile);
+            videoSource.videoElement.src = videoSource.objectUrl;
+            videoSource.videoElement.loop = config.loop === true;
+            videoSource.name = input.videoFile.name ? input.videoFile.name : null;
+        } else if (input.videoUrl) {
+            // Frames of other origins can only be read with CORS.
+            videoSource.videoElement.crossOrigin = "anonymous";
+            videoSource.videoElement.src = input.videoUrl;
+            videoSource.videoElement.loop = config.loop === true;
+            videoSource.name = input.videoUrl;
+        } else {
+            videoSource.isCamera = true;
+            videoSource.ownsMediaStream = true;
+        }
+        return videoSource;
+    }
+
+    // Size of the video on the page, its intrinsic size if it isn't shown.
+    static _getDisplayedSize(videoElement) {
+        return videoElement.clientWidth && videoElement.clientHeight
+            ? { width: videoElement.clientWidth, height: videoElement.clientHeight }
+            : { width: videoElement.videoWidth, height: videoElement.videoHeight };
+    }
+
+    _getShadedRegionBounds(width, height, qrboxDimensions) {
+        if (qrboxDimensions.width > width || qrboxDimensions.height > height) {
+            throw new Html5QrcodeError(Html5QrcodeErrorCode.INVALID_CONFIG,
+                "'config.qrbox' should not be greater than the "
+                    + "width and height of the HTML element.");
         }
 
         return {
-            x: (width - qrboxSize) / 2,
-            y: (height - qrboxSize) / 2,
-            width: qrboxSize,
-            height: qrboxSize
+            x: (width - qrboxDimensions.width) / 2,
+            y: (height - qrboxDimensions.height) / 2,
+            width: qrboxDimensions.width,
+            height: qrboxDimensions.height
         };
     }
 
+    // Removes the shaded region if exists.
+    _removeShadingElements() {
+        while (this._element.getElementsByClassName(
+            Html5Qrcode.SHADED_REGION_CLASSNAME).length) {
+            const shadedChild = this._element.getElementsByClassName(
+                Html5Qrcode.SHADED_REGION_CLASSNAME)[0];
+            this._element.removeChild(shadedChild);
+        }
+    }
+
+    /**
+     * Converts config.qrbox to { width, height }.
+     *
+     * @param qrbox number, { width, height } or function(viewfinderWidth,
+     *  viewfinderHeight) returning { width, height }.
+     * @param viewfinderWidth width of the viewfinder.
+     * @param viewfinderHeight height of the viewfinder.
+     */
+    static _getQrboxDimensions(qrbox, viewfinderWidth, viewfinderHeight) {
+        let dimensions;
+        if (typeof qrbox == "number") {
+            dimensions = { width: qrbox, height: qrbox };
+        } else if (typeof qrbox == "function") {
+            dimensions = qrbox(viewfinderWidth, viewfinderHeight);
+        } else {
+            dimensions = qrbox;
+        }
+
+        if (!dimensions
+            || typeof dimensions.width != "number"
+            || typeof dimensions.height != "number") {
+            throw new Html5QrcodeError(Html5QrcodeErrorCode.INVALID_CONFIG,
+                "'config.qrbox' should be a number, an object of type "
+                    + "{ width, height } or a function returning { width, height }.");
+        }
+
+        if (dimensions.width < Html5Qrcode.MIN_QR_BOX_SIZE
+            || dimensions.height < Html5Qrcode.MIN_QR_BOX_SIZE) {
+            throw new Html5QrcodeError(Html5QrcodeErrorCode.INVALID_CONFIG,
+                `minimum size of 'config.qrbox' is ${Html5Qrcode.MIN_QR_BOX_SIZE}px.`);
+        }
+        return dimensions;
+    }
+
     _possiblyInsertShadingElement(element, height, qrRegion) {
         if (qrRegion.x == 0 && qrRegion.y == 0) {
             // No shading
@@ -594,14 +3296,35 @@ class Html5Qrcode {
         element.append(this._createShadedElement(height, qrRegion, Html5Qrcode.SHADED_BOTTOM));
     }
 
+    _relayoutShadingElements(element, height, qrRegion) {
+        const shadedElements = element.getElementsByClassName(
+            Html5Qrcode.SHADED_REGION_CLASSNAME);
+        if (qrRegion.x == 0 && qrRegion.y == 0) {
+            this._removeShadingElements();
+            return;
+        }
+        if (shadedElements.length == 0) {
+            this._possiblyInsertShadingElement(element, height, qrRegion);
+            return;
+        }
+
+        for (const elem of shadedElements) {
+            this._positionShadedElement(
+                elem, height, qrRegion, parseInt(elem.dataset.shadingPosition));
+        }
+    }
+
     _createShadedElement(height, qrRegion, shadingPosition) {
         const elem = document.createElement('div');
         elem.style.position = "absolute";
-        elem.style.height = `${height}px`;
         elem.className = Html5Qrcode.SHADED_REGION_CLASSNAME;
-        elem.id = `${Html5Qrcode.SHADED_REGION_CLASSNAME}_${shadingPosition}`
-        // TODO(mebjas): maken this configurable
-        elem.style.background = `#0000007a`;
+        elem.dataset.shadingPosition = shadingPosition;
+        this._overlay.applyShadingStyle(elem);
+        this._positionShadedElement(elem, height, qrRegion, shadingPosition);
+        return elem;
+    }
+
+    _positionShadedElement(elem, height, qrRegion, shadingPosition) {
         switch (shadingPosition) {
             case Html5Qrcode.SHADED_LEFT:
                 elem.style.top = "0px";
@@ -629,19 +3352,347 @@ class Html5Qrcode {
                 elem.style.height = `${qrRegion.y}px`;
                 break;
             default:
-                throw "Unsupported shadingPosition";
+                throw new Html5QrcodeError(Html5QrcodeErrorCode.UNKNOWN,
+                    "Unsupported shadingPosition");
         }
+    }
 
-        return elem;
+    /**
+     * Calls onResize when the element is resized or the device is rotated.
+     */
+    _startViewfinderObserver(onResize, observedElement) {
+        this._stopViewfinderObserver();
+
+        // Coalesce bursts of resize events into one layout per frame.
+        const scheduleResize = () => {
+            if (this._pendingResizeFrame !== null) {
+                return;
+            }
+            this._pendingResizeFrame = requestAnimationFrame(() => {
+                this._pendingResizeFrame = null;
+                onResize();
+            });
+        };
+
+        if (typeof ResizeObserver != "undefined") {
+            this._resizeObserver = new ResizeObserver(scheduleResize);
+            this._resizeObserver.observe(observedElement);
+        } else {
+            window.addEventListener("resize", scheduleResize);
+        }
+        window.addEventListener("orientationchange", scheduleResize);
+        this._onViewfinderResize = scheduleResize;
+    }
+
+    _stopViewfinderObserver() {
+        if (!this._onViewfinderResize) {
+            return;
+        }
+        if (this._pendingResizeFrame !== null) {
+            cancelAnimationFrame(this._pendingResizeFrame);
+            this._pendingResizeFrame = null;
+        }
+        if (this._resizeObserver) {
+            this._resizeObserver.disconnect();
+            this._resizeObserver = null;
+        } else {
+            window.removeEventListener("resize", this._onViewfinderResize);
+        }
+        window.removeEventListener("orientationchange", this._onViewfinderResize);
+        this._onViewfinderResize = null;
+        this._viewfinderSize = null;
     }
 
     _possiblyCloseLastScanImageFile() {
-      if (this._lastScanImageFile) {
-        URL.revokeObjectURL(this._lastScanImageFile);
-        this._lastScanImageFile = null;
+      if (this._lastScanImageUrl) {
+        URL.revokeObjectURL(this._lastScanImageUrl);
+        this._lastScanImageUrl = null;
       }
     }
 
+    /**
+     * Returns a Promise with the id of the camera last started with
+     * { rememberLastUsedCamera: true }, or null if none was stored or the
+     * camera is no longer returned by getCameras().
+     */
+    static getLastUsedCameraId() {
+        const cameraId = Html5Qrcode._readLastUsedCameraId();
+        if (!cameraId) {
+            return Promise.resolve(null);
+        }
+
+        return Html5Qrcode.getCameras().then(cameras => {
+            if (cameras.some(camera => camera.id == cameraId)) {
+                return cameraId;
+            }
+            Html5Qrcode._log(`Last used camera ${cameraId} not found.`);
+            Html5Qrcode.clearLastUsedCameraId();
+            return null;
+        });
+    }
+
+    /**
+     * Forgets the camera stored by { rememberLastUsedCamera: true }.
+     */
+    static clearLastUsedCameraId() {
+        try {
+            localStorage.removeItem(Html5Qrcode.LAST_USED_CAMERA_STORAGE_KEY);
+        } catch (error) {
+            Html5Qrcode._log(`localStorage not available, error = ${error}`);
+        }
+    }
+
+    _possiblyStoreLastUsedCamera() {
+        const settings = this.getRunningTrackSettings();
+        if (!settings.deviceId) {
+            return;
+        }
+        try {
+            localStorage.setItem(
+                Html5Qrcode.LAST_USED_CAMERA_STORAGE_KEY, settings.deviceId);
+        } catch (error) {
+            Html5Qrcode._log(`localStorage not available, error = ${error}`);
+        }
+    }
+
+    // Lists the video inputs, as returned by getCameras().
+    static _enumerateCameras() {
+        return navigator.mediaDevices.enumerateDevices()
+            .then(devices => {
+                const results = [];
+                for (var i = 0; i < devices.length; i++) {
+                    const device = devices[i];
+                    if (device.kind == "videoinput") {
+                        results.push({
+                            id: device.deviceId,
+                            label: device.label
+                        });
+                    }
+                }
+                this._log(`${results.length} results found`);
+                return results;
+            }, err => {
+                throw Html5QrcodeError.fromMediaError(
+                    err, `${err.name} : ${err.message}`);
+            });
+    }
+
+    static _createStartCancelledError() {
+        return new Html5QrcodeError(Html5QrcodeErrorCode.INVALID_STATE,
+            "Scan was stopped before the camera started.");
+    }
+
+    static _stopStream(stream) {
+        stream.getTracks().forEach(track => track.stop());
+    }
+
+    static _readLastUsedCameraId() {
+        try {
+            return localStorage.getItem(Html5Qrcode.LAST_USED_CAMERA_STORAGE_KEY);
+        } catch (error) {
+            Html5Qrcode._log(`localStorage not available, error = ${error}`);
+            return null;
+        }
+    }
+
+    static _validateCameraIdOrConfig(cameraIdOrConfig) {
+        if (typeof cameraIdOrConfig == "string") {
+            return;
+        }
+        if (typeof cameraIdOrConfig != "object") {
+            throw new Html5QrcodeError(Html5QrcodeErrorCode.INVALID_CONFIG,
+                "cameraIdOrConfig should be a string or an object.");
+        }
+
+        const keys = Object.keys(cameraIdOrConfig);
+        if (keys.length != 1) {
+            throw new Html5QrcodeError(Html5QrcodeErrorCode.INVALID_CONFIG,
+                "cameraIdOrConfig should have exactly one key, "
+                    + "'facingMode', 'deviceId', 'mediaStream', "
+                    + "'videoElement', 'videoFile' or 'videoUrl'.");
+        }
+
+        const key = keys[0];
+        const value = cameraIdOrConfig[key];
+        const exactValue = typeof value == "object" && value ? value.exact : value;
+        switch (key) {
+            case "facingMode":
+                if (!Html5Qrcode.FACING_MODES.includes(exactValue)) {
+                    throw new Html5QrcodeError(Html5QrcodeErrorCode.INVALID_CONFIG,
+                        `Unsupported facingMode '${exactValue}', expected one of `
+                            + `${Html5Qrcode.FACING_MODES.join(", ")}.`);
+                }
+                break;
+            case "deviceId":
+                if (!exactValue || typeof exactValue != "string") {
+                    throw new Html5QrcodeError(Html5QrcodeErrorCode.INVALID_CONFIG,
+                        "'deviceId' should be a non-empty string.");
+                }
+                break;
+            case "mediaStream":
+                if (typeof MediaStream == "undefined" || !(value instanceof MediaStream)) {
+                    throw new Html5QrcodeError(Html5QrcodeErrorCode.INVALID_CONFIG,
+                        "'mediaStream' should be a MediaStream.");
+                }
+                if (value.getVideoTracks().length == 0) {
+                    throw new Html5QrcodeError(Html5QrcodeErrorCode.INVALID_CONFIG,
+                        "'mediaStream' has no video track.");
+                }
+                break;
+            case "videoElement":
+                if (!(value instanceof HTMLVideoElement)) {
+                    throw new Html5QrcodeError(Html5QrcodeErrorCode.INVALID_CONFIG,
+                        "'videoElement' should be an HTMLVideoElement.");
+                }
+                break;
+            case "videoFile":
+                if (!(value instanceof Blob)) {
+                    throw new Html5QrcodeError(Html5QrcodeErrorCode.INVALID_CONFIG,
+                        "'videoFile' should be a File or Blob.");
+                }
+                break;
+            case "videoUrl":
+                if (!value || typeof value != "string") {
+                    throw new Html5QrcodeError(Html5QrcodeErrorCode.INVALID_CONFIG,
+                        "'videoUrl' should be a non-empty string.");
+                }
+                break;
+            default:
+                throw new Html5QrcodeError(Html5QrcodeErrorCode.INVALID_CONFIG,
+                    `Unsupported key '${key}' in cameraIdOrConfig, expected `
+                        + "'facingMode', 'deviceId', 'mediaStream', "
+                        + "'videoElement', 'videoFile' or 'videoUrl'.");
+        }
+    }
+
+    /**
+     * Creates ideal constraints from config.aspectRatio, config.resolution
+     * and config.frameRate.
+     */
+    static _createStreamHints(config) {
+        const hints = {};
+        const validatePositiveNumber = (value, name) => {
+            if (typeof value != "number" || !(value > 0)) {
+                throw new Html5QrcodeError(Html5QrcodeErrorCode.INVALID_CONFIG,
+                    `'config.${name}' should be a positive number.`);
+            }
+        };
+
+        if (config.aspectRatio !== undefined) {
+            validatePositiveNumber(config.aspectRatio, "aspectRatio");
+            hints.aspectRatio = { ideal: config.aspectRatio };
+        }
+        if (config.resolution !== undefined) {
+            if (!config.resolution || typeof config.resolution != "object") {
+                throw new Html5QrcodeError(Html5QrcodeErrorCode.INVALID_CONFIG,
+                    "'config.resolution' should be of type { width, height }.");
+            }
+            if (config.resolution.width !== undefined) {
+                validatePositiveNumber(config.resolution.width, "resolution.width");
+                hints.width = { ideal: config.resolution.width };
+            }
+            if (config.resolution.height !== undefined) {
+                validatePositiveNumber(config.resolution.height, "resolution.height");
+                hints.height = { ideal: config.resolution.height };
+            }
+        }
+        if (config.frameRate !== undefined) {
+            validatePositiveNumber(config.frameRate, "frameRate");
+            hints.frameRate = { ideal: config.frameRate };
+        }
+        return hints;
+    }
+
+    // Logs which of the stream hints the camera didn't honour.
+    static _logDegradedStreamSettings(stream, streamHints) {
+        const videoTracks = stream.getVideoTracks();
+        if (videoTracks.length == 0 || typeof videoTracks[0].getSettings != "function") {
+            return;
+        }
+
+        const settings = videoTracks[0].getSettings();
+        for (const key in streamHints) {
+            const ideal = streamHints[key].ideal;
+            // Tolerance absorbs rounding of aspectRatio by browsers.
+            if (settings[key] === undefined || Math.abs(settings[key] - ideal) < 0.01) {
+                continue;
+            }
+            Html5Qrcode._log(
+                `Camera stream degraded, ${key} is ${settings[key]} instead of ${ideal}.`);
+        }
+    }
+
+    static _createVideoConstraints(cameraIdOrConfig, extraConstraints) {
+        const videoConstraints = Object.assign({}, extraConstraints);
+        // Camera selection is owned by cameraIdOrConfig.
+        delete videoConstraints.deviceId;
+        delete videoConstraints.facingMode;
+        if (typeof cameraIdOrConfig == "string") {
+            videoConstraints.deviceId = { exact: cameraIdOrConfig };
+        } else {
+            Object.assign(videoConstraints, cameraIdOrConfig);
+        }
+        return videoConstraints;
+    }
+
+    static _computeCanvasDrawConfig(
+        imageWidth, 
+        imageHeight, 
+        containerWidth, 
+        containerHeight) {
+        
+        if (imageWidth <= containerWidth && imageHeight <= containerHeight) {
+            // no downsampling needed.
+            const xoffset = (containerWidth - imageWidth) / 2;
+            const yoffset = (containerHeight - imageHeight) / 2;
+            return {
+                x: xoffset,
+                y: yoffset,
+                width: imageWidth,
+                height: imageHeight
+            };
+        } else {
+            const formerImageWidth = imageWidth;
+            const formerImageHeight = imageHeight;
+            if (imageWidth > containerWidth) {
+                imageHeight = (containerWidth / imageWidth) * imageHeight;
+                imageWidth = containerWidth;
+            }
+
+            if (imageHeight > containerHeight) {
+                imageWidth = (containerHeight / imageHeight) * imageWidth;
+                imageHeight = containerHeight;
+            }
+
+            Html5Qrcode._log(
+                `Image downsampled from ${formerImageWidth}X${formerImageHeight}`
+                + ` to ${imageWidth}X${imageHeight}.`);
+
+            return Html5Qrcode._computeCanvasDrawConfig(
+                imageWidth, imageHeight, containerWidth, containerHeight);
+        }
+    }
+
+    static _isImageSource(source) {
+        if (!source) {
+            return false;
+        }
+        return source instanceof Blob
+            || typeof source == "string"
+            || source instanceof HTMLImageElement
+            || source instanceof HTMLCanvasElement
+            || (typeof ImageBitmap != "undefined" && source instanceof ImageBitmap)
+            || (typeof ImageData != "undefined" && source instanceof ImageData);
+    }
+
+    static _deliverResult(qrCodeSuccessCallback, result, resultMode) {
+        if (resultMode == Html5Qrcode.RESULT_MODE_STRUCTURED) {
+            qrCodeSuccessCallback(result);
+        } else {
+            qrCodeSuccessCallback(result.text, result);
+        }
+    }
+
     static _getTimeoutFps(fps) {
         return 1000 / fps;
     }